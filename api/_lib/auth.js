@@ -0,0 +1,70 @@
+'use strict';
+
+const crypto = require('crypto');
+const { json, getClientIp, parseCookies } = require('./utils');
+
+const COOKIE_NAME = 'yd_admin';
+const SESSION_TTL_SEC = 12 * 60 * 60;
+
+function secret() {
+  return process.env.ADMIN_JWT_SECRET || '';
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function signToken(payload, ttlSec = SESSION_TTL_SEC) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttlSec })).toString('base64url');
+  return `${header}.${body}.${hmac(`${header}.${body}`)}`;
+}
+
+function verifyToken(token) {
+  if (!secret() || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, sig] = parts;
+  if (!safeEqual(sig, hmac(`${header}.${body}`))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (typeof payload.exp !== 'number' || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+function isIpAllowed(req) {
+  const allowList = (process.env.ADMIN_IP_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean);
+  return !allowList.length || allowList.includes(getClientIp(req));
+}
+
+function checkPassword(password) {
+  const expected = process.env.ADMIN_PASSWORD || '';
+  return Boolean(expected && secret()) && typeof password === 'string' && safeEqual(password, expected);
+}
+
+// Stealth 404: unauthenticated callers cannot tell the admin API exists.
+function notFound(res) {
+  return json(res, 404, { ok: false, error: 'Not found', code: 404 });
+}
+
+/**
+ * Returns the session payload, or sends a 404 and returns null.
+ */
+function requireAdmin(req, res) {
+  if (!isIpAllowed(req)) { notFound(res); return null; }
+  const session = verifyToken(parseCookies(req)[COOKIE_NAME]);
+  if (!session || session.role !== 'admin') { notFound(res); return null; }
+  return session;
+}
+
+module.exports = { COOKIE_NAME, SESSION_TTL_SEC, signToken, verifyToken, isIpAllowed, checkPassword, notFound, requireAdmin };
@@ -0,0 +1,67 @@
+'use strict';
+
+const store = require('./store');
+const { STORE_KEY, QUEUE_STATUSES } = require('./commissions');
+
+// Commission availability, worked out from the queue in the commissions store.
+// COMMISSION_SLOTS          how many accepted commissions I take on at once (default 5)
+// COMMISSION_LIMITED_AT     "limited" once this many slots or fewer are left (default 1)
+// COMMISSION_DAYS_PER_FRAME days one frame takes, for the estimates (default 1)
+// COMMISSIONS_CLOSED_UNTIL  YYYY-MM-DD; closed until that date whatever the queue says
+
+const DAY_MS = 86_400_000;
+
+function envNumber(name, fallback, min) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+function settings() {
+  const closedUntil = process.env.COMMISSIONS_CLOSED_UNTIL || '';
+  return {
+    slots: Math.floor(envNumber('COMMISSION_SLOTS', 5, 1)),
+    limitedAt: Math.floor(envNumber('COMMISSION_LIMITED_AT', 1, 0)),
+    daysPerFrame: envNumber('COMMISSION_DAYS_PER_FRAME', 1, 0),
+    closedUntil: /^\d{4}-\d{2}-\d{2}$/.test(closedUntil) ? closedUntil : null
+  };
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves to { state: 'open' | 'limited' | 'closed', slots, slotsLeft, estimatedStart, nextOpening }.
+ * Dates are YYYY-MM-DD; nextOpening is null unless commissions are closed.
+ */
+async function getAvailability(now = new Date()) {
+  const { slots, limitedAt, daysPerFrame, closedUntil } = settings();
+  const today = now.toISOString().slice(0, 10);
+  const queue = (await store.read(STORE_KEY, []))
+    .filter(c => QUEUE_STATUSES.includes(c.status))
+    .sort((a, b) => String(a.acceptedAt || a.createdAt).localeCompare(String(b.acceptedAt || b.createdAt)));
+
+  // The queue is worked through in order; finishes[i] is how many days until commission i is done.
+  const finishes = [];
+  let days = 0;
+  for (const c of queue) {
+    let work = Math.max(1, Math.ceil((c.frames || 1) * daysPerFrame));
+    if (c.status === 'in_progress' && c.startedAt) work = Math.max(1, work - Math.floor((now - Date.parse(c.startedAt)) / DAY_MS));
+    days += work;
+    finishes.push(days);
+  }
+
+  const slotsLeft = Math.max(0, slots - queue.length);
+  const estimatedStart = addDays(today, days);
+
+  if (closedUntil && closedUntil > today) {
+    return { state: 'closed', slots, slotsLeft, estimatedStart: estimatedStart > closedUntil ? estimatedStart : closedUntil, nextOpening: closedUntil };
+  }
+  if (slotsLeft === 0) {
+    // A slot frees up once enough of the queue is finished to drop below capacity.
+    return { state: 'closed', slots, slotsLeft, estimatedStart, nextOpening: addDays(today, finishes[queue.length - slots]) };
+  }
+  return { state: slotsLeft <= limitedAt ? 'limited' : 'open', slots, slotsLeft, estimatedStart, nextOpening: null };
+}
+
+module.exports = { getAvailability };
@@ -0,0 +1,107 @@
+'use strict';
+
+const store = require('./store');
+
+/**
+ * Keyed TTL cache with stale-while-revalidate.
+ *
+ * - younger than ttlSec: served as-is
+ * - younger than ttlSec + staleSec: served, and refreshed in the background
+ * - older: reloaded; if the reload fails the last known value is still served
+ *
+ * With `persist: true` entries are mirrored to the storage adapter so they survive cold starts.
+ * `maxEntries` bounds both the in-memory map and the persisted copy; the least recently loaded
+ * entries are dropped first.
+ */
+function createCache({ name, ttlSec = Infinity, staleSec = 0, persist = false, maxEntries = Infinity }) {
+  const entries = new Map();
+  const inflight = new Map();
+  const storeKey = `cache-${name}`;
+  // Shared by every call that arrives while the saved entries are still loading
+  let hydration = persist ? null : Promise.resolve();
+
+  // The newest `maxEntries` of { [key]: entry }, oldest first
+  function newest(all) {
+    return Object.entries(all).sort((a, b) => a[1].at - b[1].at).slice(-maxEntries);
+  }
+
+  function hydrate() {
+    if (!hydration) {
+      hydration = store.read(storeKey, {}).then((saved) => {
+        const loaded = newest({ ...saved, ...Object.fromEntries(entries) });
+        entries.clear();
+        for (const [k, e] of loaded) entries.set(k, e);
+      }).catch(() => {});
+    }
+    return hydration;
+  }
+
+  async function save(fresh) {
+    if (!persist || !Object.keys(fresh).length) return;
+    try {
+      await store.update(storeKey, {}, saved => Object.fromEntries(newest({ ...saved, ...fresh })));
+    } catch (_) {}
+  }
+
+  function age(entry) {
+    return (Date.now() - entry.at) / 1000;
+  }
+
+  // Loads `keys` through `loader(keys) -> { [key]: value }`, sharing in-flight requests.
+  async function load(keys, loader) {
+    const todo = keys.filter(k => !inflight.has(k));
+    if (todo.length) {
+      const batch = Promise.resolve()
+        .then(() => loader(todo))
+        .catch(() => ({}))
+        .then((values) => {
+          const fresh = {};
+          for (const k of todo) {
+            inflight.delete(k);
+            if (values && values[k] !== undefined && values[k] !== null) fresh[k] = { value: values[k], at: Date.now() };
+          }
+          Object.entries(fresh).forEach(([k, e]) => {
+            entries.delete(k);
+            entries.set(k, e);
+          });
+          while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+          save(fresh);
+        });
+      todo.forEach(k => inflight.set(k, batch));
+    }
+    await Promise.all([...new Set(keys.map(k => inflight.get(k)).filter(Boolean))]);
+  }
+
+  return {
+    /**
+     * Resolves to { [key]: value } for every key that is cached or could be loaded.
+     */
+    async getMany(keys, loader) {
+      await hydrate();
+      const missing = [];
+      const stale = [];
+      for (const k of keys) {
+        const entry = entries.get(k);
+        if (!entry || age(entry) > ttlSec + staleSec) missing.push(k);
+        else if (age(entry) > ttlSec) stale.push(k);
+      }
+
+      if (stale.length) load(stale, loader).catch(() => {});
+      if (missing.length) await load(missing, loader);
+
+      const out = {};
+      for (const k of keys) {
+        const entry = entries.get(k);
+        if (entry) out[k] = entry.value;
+      }
+      return out;
+    },
+
+    async get(key, loader) {
+      const out = await this.getMany([key], async (keys) => ({ [keys[0]]: await loader(keys[0]) }));
+      return out[key];
+    }
+  };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,101 @@
+'use strict';
+
+const crypto = require('crypto');
+const { cleanText } = require('./utils');
+const { ALPHABET } = require('./orderCodes');
+
+const STORE_KEY = 'commissions';
+const PLANS = ['basic', 'medium', 'full', 'import', 'custom'];
+const STYLES = ['simulator', 'anime', 'horror', 'cartoon', 'minimal', 'scifi', 'other'];
+const CURRENCIES = ['USD', 'ROBUX'];
+// new -> accepted -> in_progress -> completed, or declined at any point.
+const STATUSES = ['new', 'accepted', 'in_progress', 'completed', 'declined'];
+// Commissions that hold a queue slot; new requests only do once I accept them.
+const QUEUE_STATUSES = ['accepted', 'in_progress'];
+
+const MAX_FRAMES = 200;
+const MAX_REFERENCES = 5;
+const MAX_BUDGET = { USD: 100_000, ROBUX: 30_000_000 };
+const MAX_DEADLINE_DAYS = 730;
+
+function generateReference() {
+  let chars = '';
+  for (let i = 0; i < 6; i++) chars += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  return `YC-${chars}`;
+}
+
+function parseDeadline(value) {
+  if (value == null || value === '') return { deadline: null };
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: 'Deadline must be a date (YYYY-MM-DD).' };
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date) || date.toISOString().slice(0, 10) !== value) return { error: 'Deadline must be a real date.' };
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const days = (date - today) / 86_400_000;
+  // One day of slack for clients whose local date is already tomorrow.
+  if (days < -1) return { error: 'Deadline cannot be in the past.' };
+  if (days > MAX_DEADLINE_DAYS) return { error: 'Deadline is too far in the future.' };
+  return { deadline: value };
+}
+
+function parseReferences(value) {
+  const list = Array.isArray(value) ? value : [];
+  if (list.length > MAX_REFERENCES) return { error: `Add at most ${MAX_REFERENCES} reference links.` };
+  const references = [];
+  for (const raw of list) {
+    if (typeof raw !== 'string' || raw.length > 300) return { error: 'Reference links must be shorter than 300 characters.' };
+    let url;
+    try {
+      url = new URL(raw.trim());
+    } catch (_) {
+      return { error: 'Reference links must be full URLs.' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: 'Reference links must start with http:// or https://.' };
+    references.push(url.toString());
+  }
+  return { references };
+}
+
+/**
+ * Validates a commission request body. Resolves to { commission } or { error, field }.
+ */
+function validateCommission(body) {
+  const plan = typeof body.plan === 'string' ? body.plan : '';
+  if (!PLANS.includes(plan)) return { error: 'Please choose a plan.', field: 'plan' };
+
+  const frames = Number(body.frames);
+  if (!Number.isInteger(frames) || frames < 1 || frames > MAX_FRAMES) return { error: `Number of frames must be a whole number from 1 to ${MAX_FRAMES}.`, field: 'frames' };
+
+  const style = typeof body.style === 'string' ? body.style : '';
+  if (!STYLES.includes(style)) return { error: 'Please choose a style.', field: 'style' };
+
+  const { deadline, error: deadlineError } = parseDeadline(body.deadline);
+  if (deadlineError) return { error: deadlineError, field: 'deadline' };
+
+  const budget = body.budget || {};
+  const currency = typeof budget.currency === 'string' ? budget.currency.toUpperCase() : '';
+  if (!CURRENCIES.includes(currency)) return { error: 'Budget currency must be USD or Robux.', field: 'budget' };
+  const amount = Number(budget.amount);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_BUDGET[currency]) return { error: 'Please enter a valid budget.', field: 'budget' };
+
+  const { references, error: referencesError } = parseReferences(body.references);
+  if (referencesError) return { error: referencesError, field: 'references' };
+
+  const contact = cleanText(body.contact, 100);
+  if (contact.length < 2) return { error: 'Please tell me how to reach you.', field: 'contact' };
+
+  return {
+    commission: {
+      plan,
+      frames,
+      style,
+      importNeeded: body.importNeeded === true,
+      deadline,
+      budget: { amount: currency === 'ROBUX' ? Math.round(amount) : Math.round(amount * 100) / 100, currency },
+      references,
+      notes: cleanText(body.notes, 1000),
+      contact
+    }
+  };
+}
+
+module.exports = { STORE_KEY, PLANS, STYLES, CURRENCIES, STATUSES, QUEUE_STATUSES, generateReference, validateCommission };
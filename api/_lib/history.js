@@ -0,0 +1,81 @@
+'use strict';
+
+const store = require('./store');
+const showcase = require('./showcase');
+const { resolveUniverses, getGameInfo } = require('./roblox');
+
+const STORE_KEY = 'gamesHistory';
+const RETENTION_DAYS = 400;
+// Snapshots closer together than this replace the previous point instead of adding one.
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEADLINE_MS = 20_000;
+
+/**
+ * Appends one { t, visits, playing } point per universe to the stored time series.
+ * `stats` is { [universeId]: { visits, playing } }.
+ */
+function record(stats, at = Date.now()) {
+  const cutoff = at - RETENTION_DAYS * DAY_MS;
+  return store.update(STORE_KEY, {}, (history) => {
+    const next = { ...history };
+    for (const [universeId, { visits, playing }] of Object.entries(stats)) {
+      const points = (next[universeId] || []).filter(p => p.t >= cutoff);
+      if (points.length && at - points[points.length - 1].t < MIN_INTERVAL_MS) points.pop();
+      points.push({ t: at, visits, playing });
+      next[universeId] = points;
+    }
+    return next;
+  });
+}
+
+/**
+ * Looks up every showcased game and records its current visits and playing counts.
+ * Resolves to { recorded, failed } place ID lists.
+ */
+async function takeSnapshot() {
+  const deadline = Date.now() + DEADLINE_MS;
+  const placeIds = (await showcase.list()).map(g => g.placeId);
+  const resolved = await resolveUniverses(placeIds, deadline);
+  const universeIds = [...new Set(Object.values(resolved).map(r => r.universeId).filter(Boolean))];
+  const info = universeIds.length ? await getGameInfo(universeIds, deadline) : {};
+
+  const stats = {};
+  for (const [universeId, game] of Object.entries(info)) {
+    if (typeof game.visits === 'number') stats[universeId] = { visits: game.visits, playing: game.playing ?? null };
+  }
+  if (Object.keys(stats).length) await record(stats);
+
+  const recorded = placeIds.filter(pid => stats[resolved[pid].universeId]);
+  return { recorded, failed: placeIds.filter(pid => !recorded.includes(pid)) };
+}
+
+/**
+ * Visits gained since the start of the current UTC month: the latest point minus the last
+ * point recorded before the month began (or the month's first point if tracking started later).
+ */
+function visitsThisMonth(points, now = Date.now()) {
+  if (points.length < 2) return null;
+  const d = new Date(now);
+  const monthStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const before = points.filter(p => p.t < monthStart);
+  const baseline = before.length ? before[before.length - 1] : points.find(p => p.t >= monthStart);
+  const latest = points[points.length - 1];
+  if (!baseline || baseline === latest) return null;
+  return Math.max(0, latest.visits - baseline.visits);
+}
+
+async function getHistory(universeIds, days) {
+  const history = await store.read(STORE_KEY, {});
+  const since = Date.now() - days * DAY_MS;
+  return universeIds.map((universeId) => {
+    const all = history[universeId] || [];
+    return {
+      universeId,
+      points: all.filter(p => p.t >= since),
+      visitsThisMonth: visitsThisMonth(all)
+    };
+  });
+}
+
+module.exports = { STORE_KEY, RETENTION_DAYS, record, takeSnapshot, getHistory };
@@ -0,0 +1,60 @@
+'use strict';
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const STORE_KEY = 'orderCodes';
+// No 0/O/1/I so codes survive being read out over Discord
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_RE = /^YD-[A-Z0-9]{4}-[A-Z0-9]{4}$/;
+
+function generateCode() {
+  let chars = '';
+  for (let i = 0; i < 8; i++) chars += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  return `YD-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+function normalizeCode(input) {
+  if (typeof input !== 'string') return '';
+  const code = input.trim().toUpperCase();
+  return CODE_RE.test(code) ? code : '';
+}
+
+async function createCode(project, client) {
+  let record;
+  await store.update(STORE_KEY, [], (codes) => {
+    const taken = new Set(codes.map(c => c.code));
+    let code = generateCode();
+    while (taken.has(code)) code = generateCode();
+    record = { code, project, client: client || null, createdAt: new Date().toISOString(), usedAt: null, reviewId: null };
+    return [...codes, record];
+  });
+  return record;
+}
+
+/**
+ * Marks an unused code as spent by `reviewId`. Resolves to the code record, or null.
+ */
+async function redeemCode(input, reviewId) {
+  const code = normalizeCode(input);
+  if (!code) return null;
+
+  let redeemed = null;
+  await store.update(STORE_KEY, [], codes => codes.map(c => {
+    if (c.code !== code || c.usedAt) return c;
+    redeemed = { ...c, usedAt: new Date().toISOString(), reviewId };
+    return redeemed;
+  }));
+  return redeemed;
+}
+
+/**
+ * Undoes redeemCode() when the review it was spent on could not be saved.
+ */
+async function releaseCode(code, reviewId) {
+  await store.update(STORE_KEY, [], codes => codes.map(c => (
+    c.code === code && c.reviewId === reviewId ? { ...c, usedAt: null, reviewId: null } : c
+  )));
+}
+
+module.exports = { STORE_KEY, ALPHABET, normalizeCode, createCode, redeemCode, releaseCode };
@@ -0,0 +1,110 @@
+'use strict';
+
+const { createCache } = require('./cache');
+
+// The one pricing table. Names, descriptions and features are I18n keys on the frontend
+// (`pricing.plan.<id>.*`, `pricing.feature.<key>`); everything here is numeric.
+// `robux` is what arrives after Roblox's marketplace cut; items without one are converted
+// from USD at the configured rate.
+
+// unit: 'task' is billed per frame, 'project' once, 'frame' per imported frame
+const PLANS = [
+  { id: 'basic', icon: 'fas fa-rocket', unit: 'task', usd: 15, robux: 4000, includes: { import: false, psd: false }, features: ['revisions5', 'noPsd', 'noImport'] },
+  { id: 'full', icon: 'fas fa-crown', unit: 'project', usd: 260, robux: 75000, includes: { import: true, psd: true }, features: ['importIncluded', 'revisions35', 'psdIncluded', 'fullFolders'], featured: true },
+  { id: 'medium', icon: 'fas fa-gem', unit: 'task', usd: 25, robux: 7000, includes: { import: true, psd: false }, features: ['importIncluded', 'revisions10', 'noPsd'] },
+  { id: 'import', icon: 'fas fa-upload', unit: 'frame', usd: 5, includes: { import: true, psd: false }, features: ['optimized'] }
+];
+
+const EXTRAS = {
+  importPerFrame: { usd: 5 },
+  // Custom UIs included with the Full Game UI plan, then billed per UI
+  customUi: { free: 4, usd: 25 },
+  hud: { free: 2, usd: 5, robux: 2500 },
+  frameDesign: { usd: 15 },
+  psd: { usd: 10 },
+  rush: { rate: 0.5 }
+};
+
+const MARKETPLACE_TAX = 0.3;
+const DEFAULT_ROBUX_PER_USD = 280;
+
+const FX_URL = 'https://open.er-api.com/v6/latest/USD';
+const FX_TIMEOUT_MS = 4000;
+const fxCache = createCache({ name: 'fx-rates', ttlSec: 43200, staleSec: 604800, persist: true });
+
+// Visitor country (ISO 3166-1 alpha-2) -> local currency, for the countries clients usually come from
+const COUNTRY_CURRENCIES = {
+  US: 'USD', CA: 'CAD', MX: 'MXN', BR: 'BRL', AR: 'ARS', CL: 'CLP', CO: 'COP', PE: 'PEN',
+  GB: 'GBP', DE: 'EUR', FR: 'EUR', ES: 'EUR', IT: 'EUR', NL: 'EUR', BE: 'EUR', AT: 'EUR', IE: 'EUR', PT: 'EUR', FI: 'EUR', GR: 'EUR',
+  PL: 'PLN', SE: 'SEK', NO: 'NOK', DK: 'DKK', CH: 'CHF', TR: 'TRY',
+  EG: 'EGP', SA: 'SAR', AE: 'AED', KW: 'KWD', QA: 'QAR', BH: 'BHD', OM: 'OMR', JO: 'JOD', MA: 'MAD', DZ: 'DZD', TN: 'TND', IQ: 'IQD',
+  IN: 'INR', PK: 'PKR', PH: 'PHP', ID: 'IDR', MY: 'MYR', SG: 'SGD', AU: 'AUD', NZ: 'NZD', JP: 'JPY', KR: 'KRW'
+};
+
+// PRICING_ROBUX_PER_USD, when set, prices every item in Robux from its USD price.
+function robuxPerUsd() {
+  const rate = Number(process.env.PRICING_ROBUX_PER_USD);
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+function toRobux(item, rate) {
+  if (item.robux != null && !robuxPerUsd()) return item.robux;
+  return Math.round((item.usd * rate) / 100) * 100;
+}
+
+/**
+ * The pricing table with a Robux price on every item.
+ */
+function getPricing() {
+  const rate = robuxPerUsd() || DEFAULT_ROBUX_PER_USD;
+  const extras = {};
+  for (const [key, item] of Object.entries(EXTRAS)) {
+    extras[key] = item.usd != null ? { ...item, robux: toRobux(item, rate) } : { ...item };
+  }
+  return {
+    currency: 'USD',
+    robuxPerUsd: rate,
+    marketplaceTax: MARKETPLACE_TAX,
+    plans: PLANS.map(p => ({ ...p, robux: toRobux(p, rate) })),
+    extras
+  };
+}
+
+// PRICING_CURRENCY_RATES ("EUR=0.92,EGP=48.5") pins rates; otherwise they are fetched and cached.
+function configuredRates() {
+  const raw = process.env.PRICING_CURRENCY_RATES;
+  if (!raw) return null;
+  const rates = {};
+  raw.split(',').forEach(pair => {
+    const [code, value] = pair.split('=').map(s => (s || '').trim());
+    if (/^[A-Z]{3}$/.test(code) && Number(value) > 0) rates[code] = Number(value);
+  });
+  return rates;
+}
+
+async function fetchRates() {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), FX_TIMEOUT_MS);
+  try {
+    const res = await fetch(FX_URL, { headers: { 'Accept': 'application/json' }, redirect: 'error', signal: ctrl.signal });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data && data.result === 'success' && data.rates && typeof data.rates === 'object' ? data.rates : null;
+  } catch (_) {
+    return null;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * Resolves to { currency, rate } (local units per USD) for a currency code, or null.
+ */
+async function getLocalCurrency(code) {
+  if (!code || code === 'USD' || !/^[A-Z]{3}$/.test(code)) return null;
+  const rates = configuredRates() || (await fxCache.get('USD', fetchRates)) || {};
+  const rate = Number(rates[code]);
+  return Number.isFinite(rate) && rate > 0 ? { currency: code, rate } : null;
+}
+
+module.exports = { COUNTRY_CURRENCIES, getPricing, getLocalCurrency };
@@ -0,0 +1,87 @@
+'use strict';
+
+const { getClientIp } = require('./utils');
+const { createRedisClient } = require('./redis');
+
+// Fixed-window counters. Every backend implements hit(key, windowMs) -> { count, resetAt },
+// so routes only pick a name, a limit and a window. Set RATE_LIMIT_REDIS_URL to share
+// counters between instances through anything that speaks the Redis protocol.
+
+const MAX_MEMORY_KEYS = 10_000;
+const REDIS_TIMEOUT_MS = 500;
+
+function createMemoryBackend(maxKeys = MAX_MEMORY_KEYS) {
+  // Map iteration order doubles as LRU order: every hit re-inserts its key at the end.
+  const windows = new Map();
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      windows.delete(key);
+      if (!entry || entry.resetAt <= now) entry = { count: 0, resetAt: now + windowMs };
+      entry.count++;
+      windows.set(key, entry);
+      while (windows.size > maxKeys) windows.delete(windows.keys().next().value);
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+function createRedisBackend(redisUrl) {
+  const client = createRedisClient(redisUrl, { timeoutMs: REDIS_TIMEOUT_MS });
+
+  return {
+    async hit(key, windowMs) {
+      // SET NX starts a window only if none is open; INCR and PTTL then read it back.
+      const [, count, ttl] = await client.pipeline([['SET', key, '0', 'PX', windowMs, 'NX'], ['INCR', key], ['PTTL', key]]);
+      return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+    }
+  };
+}
+
+const memoryBackend = global.__yd_rateLimitMemory || (global.__yd_rateLimitMemory = createMemoryBackend());
+let sharedBackend;
+
+function backend() {
+  if (sharedBackend === undefined) {
+    const redisUrl = process.env.RATE_LIMIT_REDIS_URL;
+    sharedBackend = redisUrl ? createRedisBackend(redisUrl) : null;
+  }
+  return sharedBackend || memoryBackend;
+}
+
+/**
+ * createRateLimiter({ name, limit, windowSec }).check(req, res) counts one request for the
+ * client IP, sets RateLimit-* (and Retry-After when blocked) headers and resolves to
+ * whether the request may proceed.
+ */
+function createRateLimiter({ name, limit, windowSec }) {
+  const windowMs = windowSec * 1000;
+
+  return {
+    async check(req, res) {
+      const key = `yd:rl:${name}:${getClientIp(req)}`;
+      let hit;
+      try {
+        hit = await backend().hit(key, windowMs);
+      } catch (_) {
+        // A shared store outage should not take the API down; fall back to per-instance counters.
+        hit = await memoryBackend.hit(key, windowMs);
+      }
+
+      const resetSec = Math.max(0, Math.ceil((hit.resetAt - Date.now()) / 1000));
+      res.setHeader('RateLimit-Limit', String(limit));
+      res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - hit.count)));
+      res.setHeader('RateLimit-Reset', String(resetSec));
+      res.setHeader('RateLimit-Policy', `${limit};w=${windowSec}`);
+
+      if (hit.count > limit) {
+        res.setHeader('Retry-After', String(resetSec));
+        return false;
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
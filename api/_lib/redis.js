@@ -0,0 +1,112 @@
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+
+// A minimal client for anything that speaks the Redis protocol (Redis, Valkey, KeyDB, Upstash).
+// One lazily opened connection per client; commands are pipelined and answered in order.
+
+const CRLF = Buffer.from('\r\n');
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(a => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join('');
+}
+
+// Parses one RESP reply (simple string, error, integer or bulk string) from `buf` at `offset`.
+// Bulk lengths count bytes, so the buffer stays raw until a whole reply has arrived.
+function parseReply(buf, offset) {
+  const end = buf.indexOf(CRLF, offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  if (type === '+' || type === ':') return { value: type === ':' ? Number(line) : line, next: end + 2 };
+  if (type === '-') return { value: new Error(line), next: end + 2 };
+  if (type === '$') {
+    const len = Number(line);
+    if (len === -1) return { value: null, next: end + 2 };
+    if (buf.length < end + 2 + len + 2) return null;
+    return { value: buf.toString('utf8', end + 2, end + 2 + len), next: end + 2 + len + 2 };
+  }
+  throw new Error(`Unsupported RESP reply type: ${type}`);
+}
+
+/**
+ * createRedisClient('redis://[:PASSWORD@]HOST:PORT[/DB]', { timeoutMs }).pipeline([[...args], ...])
+ * resolves to the replies in order, or rejects (and drops the connection) after `timeoutMs`.
+ * `rediss://` connects over TLS; other schemes throw.
+ */
+function createRedisClient(redisUrl, { timeoutMs = 500 } = {}) {
+  const url = new URL(redisUrl);
+  if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') throw new Error(`Unsupported Redis URL scheme: ${url.protocol}`);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function reset(err) {
+    if (socket) socket.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+    pending.forEach(p => p.reject(err));
+    pending = [];
+  }
+
+  function connect() {
+    if (socket) return socket;
+    // rediss:// is Redis over TLS, which hosted providers require
+    const options = { host: url.hostname, port: Number(url.port) || 6379 };
+    const own = url.protocol === 'rediss:' ? tls.connect({ ...options, servername: url.hostname }) : net.createConnection(options);
+    socket = own;
+    // Events from a socket that has since been replaced must not tear down its successor.
+    const onFailure = (err) => { if (socket === own) reset(err); };
+    own.unref();
+    own.setTimeout(timeoutMs * 4, () => onFailure(new Error('Redis idle timeout')));
+    own.on('data', (chunk) => {
+      if (socket !== own) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        while (pending.length && (reply = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(reply.next);
+          const p = pending.shift();
+          if (reply.value instanceof Error) p.reject(reply.value); else p.resolve(reply.value);
+        }
+      } catch (err) {
+        reset(err);
+      }
+    });
+    own.on('error', onFailure);
+    own.on('close', () => onFailure(new Error('Redis connection closed')));
+
+    const preamble = [];
+    if (url.password) preamble.push(url.username ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)] : ['AUTH', decodeURIComponent(url.password)]);
+    const db = url.pathname.slice(1);
+    if (db) preamble.push(['SELECT', db]);
+    preamble.forEach(args => send(args).catch(() => {}));
+    return socket;
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function pipeline(commands) {
+    connect();
+    const replies = Promise.all(commands.map(send));
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error('Redis command timed out');
+        reset(err);
+        reject(err);
+      }, timeoutMs);
+    });
+    return Promise.race([replies, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  return { pipeline };
+}
+
+module.exports = { createRedisClient };
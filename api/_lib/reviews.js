@@ -0,0 +1,34 @@
+'use strict';
+
+const { cleanText } = require('./utils');
+
+const STORE_KEY = 'reviews';
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+function validateReview(body) {
+  const review = {
+    name: cleanText(body.name, 50),
+    project: cleanText(body.project, 100),
+    rating: Number(body.rating),
+    text: cleanText(body.text, 500)
+  };
+  if (review.name.length < 2) return { error: 'Name must be at least 2 characters.' };
+  if (review.project.length < 2) return { error: 'Project must be at least 2 characters.' };
+  if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) return { error: 'Rating must be a whole number from 1 to 5.' };
+  if (review.text.length < 10) return { error: 'Review must be at least 10 characters.' };
+  return { review };
+}
+
+function statusOf(r) {
+  return STATUSES.includes(r.status) ? r.status : 'pending';
+}
+
+function toPublic(r) {
+  return { id: r.id, name: r.name, project: r.project, rating: r.rating, text: r.text, date: r.date, verified: r.verified === true };
+}
+
+function toAdmin(r) {
+  return { ...toPublic(r), status: statusOf(r), orderCode: r.orderCode || null, createdAt: r.createdAt || null, moderatedAt: r.moderatedAt || null };
+}
+
+module.exports = { STORE_KEY, STATUSES, validateReview, statusOf, toPublic, toAdmin };
@@ -0,0 +1,230 @@
+'use strict';
+
+const { createCache } = require('./cache');
+const { mapLimit } = require('./utils');
+
+const ALLOWED_HOSTS = new Set(['apis.roblox.com', 'games.roblox.com', 'thumbnails.roblox.com']);
+// Thumbnail URLs point at one of Roblox's image CDN shards; nothing else is ever proxied.
+const IMAGE_HOSTS = /^(tr|t[0-7])\.rbxcdn\.com$/;
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+const MAX_IMAGE_BYTES = 512 * 1024;
+
+const ATTEMPT_TIMEOUT_MS = 8000;
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 300;
+const UNIVERSE_CONCURRENCY = 5;
+
+// Place -> universe mappings effectively never change; game info and icons do.
+// Keys come from request parameters, so every cache is capped; the showcase fits many times over.
+const MAX_CACHED_GAMES = 500;
+const universeCache = createCache({ name: 'roblox-universes', persist: true, maxEntries: MAX_CACHED_GAMES });
+const infoCache = createCache({ name: 'roblox-games', ttlSec: 60, staleSec: 600, persist: true, maxEntries: MAX_CACHED_GAMES });
+const iconCache = createCache({ name: 'roblox-icons', ttlSec: 3600, staleSec: 86400, persist: true, maxEntries: MAX_CACHED_GAMES });
+const voteCache = createCache({ name: 'roblox-votes', ttlSec: 600, staleSec: 86400, persist: true, maxEntries: MAX_CACHED_GAMES });
+// Icon bytes stay in memory only; the CDN in front of /api/gameIcon carries the rest.
+const imageCache = createCache({ name: 'roblox-icon-images', ttlSec: 86400, staleSec: 604800, maxEntries: 200 });
+
+// ROBLOX_API_ORIGIN (e.g. http://127.0.0.1:4010) sends every call to a local stub instead,
+// as `${origin}/${host}${path}`. The allowlist is still checked against the real host.
+function resolveUrl(url) {
+  const origin = process.env.ROBLOX_API_ORIGIN;
+  if (!origin) return url;
+  const u = new URL(url);
+  return `${origin.replace(/\/$/, '')}/${u.host}${u.pathname}${u.search}`;
+}
+
+class RobloxError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'RobloxError';
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function isTransient(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * GETs JSON from an allowlisted Roblox host. 429/5xx and network failures are retried with
+ * exponential backoff (honouring Retry-After) until MAX_ATTEMPTS or `deadline` (epoch ms).
+ * Throws RobloxError when no usable response arrives.
+ */
+async function requestJson(url, deadline = Date.now() + ATTEMPT_TIMEOUT_MS) {
+  const u = new URL(url);
+  if (!ALLOWED_HOSTS.has(u.host)) throw new RobloxError(`Host not allowed: ${u.host}`);
+
+  let lastError = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), Math.min(ATTEMPT_TIMEOUT_MS, remaining));
+    let retryAfterMs = 0;
+    try {
+      const res = await fetch(resolveUrl(url), {
+        method: 'GET',
+        headers: { 'Accept': 'application/json', 'User-Agent': 'YoussefDesign-Portfolio/1.0' },
+        redirect: 'error',
+        signal: ctrl.signal
+      });
+      if (res.ok) return await res.json();
+      lastError = new RobloxError(`Roblox responded with HTTP ${res.status}`, res.status);
+      if (!isTransient(res.status)) throw lastError;
+      retryAfterMs = (Number(res.headers.get('retry-after')) || 0) * 1000;
+    } catch (e) {
+      if (e instanceof RobloxError && !isTransient(e.status)) throw e;
+      if (!(e instanceof RobloxError)) lastError = new RobloxError(e.name === 'AbortError' ? 'Roblox request timed out' : 'Could not reach Roblox');
+    } finally {
+      clearTimeout(t);
+    }
+
+    const backoff = Math.max(retryAfterMs, BACKOFF_BASE_MS * 2 ** attempt + Math.random() * 100);
+    if (Date.now() + backoff >= deadline) break;
+    await sleep(backoff);
+  }
+  throw lastError || new RobloxError('Roblox request deadline exceeded');
+}
+
+async function fetchJson(url, deadline) {
+  try {
+    return await requestJson(url, deadline);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * GETs an image from Roblox's CDN. Only allowlisted hosts, PNG/JPEG/WebP responses and bodies
+ * up to MAX_IMAGE_BYTES are accepted. Resolves to { type, body } (body base64) or null.
+ */
+async function fetchImage(url, deadline = Date.now() + ATTEMPT_TIMEOUT_MS) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  if (u.protocol !== 'https:' || !IMAGE_HOSTS.test(u.host)) return null;
+
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), Math.max(0, Math.min(ATTEMPT_TIMEOUT_MS, deadline - Date.now())));
+  try {
+    const res = await fetch(resolveUrl(url), {
+      method: 'GET',
+      headers: { 'Accept': [...IMAGE_TYPES].join(', '), 'User-Agent': 'YoussefDesign-Portfolio/1.0' },
+      redirect: 'error',
+      signal: ctrl.signal
+    });
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!res.ok || !IMAGE_TYPES.has(type)) return null;
+    if (Number(res.headers.get('content-length')) > MAX_IMAGE_BYTES) return null;
+    const body = Buffer.from(await res.arrayBuffer());
+    if (!body.length || body.length > MAX_IMAGE_BYTES) return null;
+    return { type, body: body.toString('base64') };
+  } catch (_) {
+    return null;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function lookupUniverseId(placeId, deadline) {
+  const data = await requestJson(`https://apis.roblox.com/universes/v1/places/${placeId}/universe`, deadline);
+  if (data && typeof data.universeId === 'number') return String(data.universeId);
+  if (data && typeof data.universeId === 'string' && /^\d+$/.test(data.universeId)) return String(data.universeId);
+  throw new RobloxError('Place has no universe');
+}
+
+/**
+ * Resolves place IDs to universe IDs in parallel (bounded), reusing cached mappings.
+ * Resolves to { [placeId]: { universeId } | { error } }.
+ */
+async function resolveUniverses(placeIds, deadline) {
+  const errors = {};
+  const found = await universeCache.getMany(placeIds, async (ids) => {
+    const out = {};
+    await mapLimit(ids, UNIVERSE_CONCURRENCY, async (pid) => {
+      try {
+        out[pid] = await lookupUniverseId(pid, deadline);
+      } catch (e) {
+        errors[pid] = e.message;
+      }
+    });
+    return out;
+  });
+
+  const result = {};
+  for (const pid of placeIds) {
+    result[pid] = found[pid] ? { universeId: found[pid] } : { error: errors[pid] || 'Could not resolve universe' };
+  }
+  return result;
+}
+
+async function getGameInfo(universeIds, deadline) {
+  return infoCache.getMany(universeIds, async (ids) => {
+    const data = await fetchJson(`https://games.roblox.com/v1/games?universeIds=${ids.join(',')}`, deadline);
+    const out = {};
+    if (data && Array.isArray(data.data)) {
+      for (const g of data.data) {
+        if (g && g.id != null) {
+          out[String(g.id)] = {
+            name: g.name ?? null,
+            visits: g.visits ?? null,
+            playing: g.playing ?? null,
+            favorites: g.favoritedCount ?? null,
+            maxPlayers: g.maxPlayers ?? null,
+            genre: g.genre ?? null,
+            created: g.created ?? null,
+            updated: g.updated ?? null
+          };
+        }
+      }
+    }
+    return out;
+  });
+}
+
+async function getGameIcons(universeIds, deadline) {
+  return iconCache.getMany(universeIds, async (ids) => {
+    const data = await fetchJson(`https://thumbnails.roblox.com/v1/games/icons?universeIds=${ids.join(',')}&size=420x420&format=Png&isCircular=false`, deadline);
+    const out = {};
+    if (data && Array.isArray(data.data)) {
+      for (const i of data.data) {
+        if (i && i.targetId != null && i.imageUrl) {
+          out[String(i.targetId)] = i.imageUrl;
+        }
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Resolves to the 420x420 icon of one universe as { type, body } (body base64), or undefined.
+ */
+async function getGameIconImage(universeId, deadline) {
+  const icons = await getGameIcons([universeId], deadline);
+  if (!icons[universeId]) return undefined;
+  return imageCache.get(icons[universeId], (url) => fetchImage(url, deadline));
+}
+
+async function getGameVotes(universeIds, deadline) {
+  return voteCache.getMany(universeIds, async (ids) => {
+    const data = await fetchJson(`https://games.roblox.com/v1/games/votes?universeIds=${ids.join(',')}`, deadline);
+    const out = {};
+    if (data && Array.isArray(data.data)) {
+      for (const v of data.data) {
+        if (v && v.id != null) {
+          out[String(v.id)] = { upVotes: v.upVotes ?? 0, downVotes: v.downVotes ?? 0 };
+        }
+      }
+    }
+    return out;
+  });
+}
+
+module.exports = { resolveUniverses, getGameInfo, getGameIcons, getGameIconImage, getGameVotes };
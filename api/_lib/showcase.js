@@ -0,0 +1,59 @@
+'use strict';
+
+const store = require('./store');
+const { cleanText } = require('./utils');
+
+const STORE_KEY = 'showcase';
+const ROLES = ['hud', 'shop', 'full'];
+const MAX_GAMES = 20;
+const PLACE_ID_RE = /^\d{1,20}$/;
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,59}$/;
+
+// Served until the list is first edited from the admin panel.
+const DEFAULT_SHOWCASE = [
+  '111021125092689',
+  '128915436393653',
+  '93605084835085',
+  '116868134708688',
+  '85746704401525',
+  '92369489899222',
+  '121873420604621'
+].map(placeId => ({ placeId, client: null, role: null, portfolio: [], featured: false }));
+
+function list() {
+  return store.read(STORE_KEY, DEFAULT_SHOWCASE);
+}
+
+/**
+ * Validates showcase fields. With `partial`, only the fields present are checked and returned.
+ * Returns { entry } or { error }.
+ */
+function validateEntry(body, partial = false) {
+  const b = body || {};
+  const entry = {};
+
+  if (!partial || b.placeId !== undefined) {
+    const placeId = String(b.placeId ?? '').trim();
+    if (!PLACE_ID_RE.test(placeId)) return { error: 'Place ID must be numeric.' };
+    entry.placeId = placeId;
+  }
+  if (!partial || b.client !== undefined) {
+    entry.client = cleanText(b.client, 50) || null;
+  }
+  if (!partial || b.role !== undefined) {
+    if (b.role && !ROLES.includes(b.role)) return { error: `Role must be one of ${ROLES.join(', ')}.` };
+    entry.role = b.role || null;
+  }
+  if (!partial || b.portfolio !== undefined) {
+    const slugs = Array.isArray(b.portfolio) ? b.portfolio : String(b.portfolio || '').split(',');
+    const portfolio = slugs.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+    if (portfolio.some(s => !SLUG_RE.test(s))) return { error: 'Portfolio links must be item slugs like "shop-ui".' };
+    entry.portfolio = [...new Set(portfolio)].slice(0, 10);
+  }
+  if (!partial || b.featured !== undefined) {
+    entry.featured = b.featured === true;
+  }
+  return { entry };
+}
+
+module.exports = { STORE_KEY, ROLES, MAX_GAMES, DEFAULT_SHOWCASE, list, validateEntry };
@@ -0,0 +1,135 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createRedisClient } = require('./redis');
+
+// Storage adapters share one tiny contract: read(key, fallback) / write(key, value),
+// where every value is a JSON-serialisable document. Adapters shared between instances
+// also provide lock(key, fn), so read-modify-write cycles do not overwrite each other.
+// Pick one with STORAGE_DRIVER; see createAdapter() for the defaults.
+
+const REDIS_TIMEOUT_MS = 3000;
+const LOCK_TTL_MS = 10_000;
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+// Deletes the lock only while it still holds our token, so a lock that expired and was
+// taken by another instance is left alone.
+const UNLOCK_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+function createMemoryAdapter() {
+  const docs = global.__yd_memoryStore || (global.__yd_memoryStore = new Map());
+  return {
+    async read(key, fallback) {
+      return docs.has(key) ? JSON.parse(docs.get(key)) : fallback;
+    },
+    async write(key, value) {
+      docs.set(key, JSON.stringify(value));
+    }
+  };
+}
+
+function createFileAdapter(dir) {
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  return {
+    async read(key, fallback) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+      }
+    },
+    async write(key, value) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // write-then-rename so a crash never leaves a half-written document behind
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+      await fs.promises.rename(tmp, file);
+    }
+  };
+}
+
+function createRedisAdapter(redisUrl) {
+  const client = createRedisClient(redisUrl, { timeoutMs: REDIS_TIMEOUT_MS });
+  const docKey = (key) => `yd:doc:${key}`;
+  return {
+    async read(key, fallback) {
+      const [value] = await client.pipeline([['GET', docKey(key)]]);
+      return value == null ? fallback : JSON.parse(value);
+    },
+    async write(key, value) {
+      await client.pipeline([['SET', docKey(key), JSON.stringify(value)]]);
+    },
+    async lock(key, fn) {
+      const lockKey = `yd:lock:${key}`;
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + LOCK_WAIT_MS;
+      while (!(await client.pipeline([['SET', lockKey, token, 'PX', LOCK_TTL_MS, 'NX']]))[0]) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for the storage lock on "${key}"`);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+      try {
+        return await fn();
+      } finally {
+        await client.pipeline([['EVAL', UNLOCK_SCRIPT, 1, lockKey, token]]).catch(() => {});
+      }
+    }
+  };
+}
+
+// Stands in when nothing shared is configured on Vercel, where the deployment directory is
+// read-only: reads see empty documents and writes fail with a message saying what to set.
+function createUnconfiguredAdapter() {
+  const message = 'No shared storage is configured. Set STORAGE_REDIS_URL (or STORAGE_DRIVER) in the Vercel project settings.';
+  console.error(`[store] ${message}`);
+  return {
+    async read(key, fallback) {
+      return fallback;
+    },
+    async write() {
+      throw new Error(message);
+    }
+  };
+}
+
+// STORAGE_DRIVER picks the adapter. Without it, STORAGE_REDIS_URL selects Redis; otherwise
+// local runs use the file driver, and Vercel deployments get the unconfigured adapter.
+function createAdapter() {
+  const redisUrl = process.env.STORAGE_REDIS_URL;
+  const driver = (process.env.STORAGE_DRIVER || (redisUrl ? 'redis' : process.env.VERCEL ? 'none' : 'file')).toLowerCase();
+  if (driver === 'redis') {
+    if (!redisUrl) throw new Error('STORAGE_DRIVER=redis needs STORAGE_REDIS_URL');
+    return createRedisAdapter(redisUrl);
+  }
+  if (driver === 'memory') return createMemoryAdapter();
+  if (driver === 'none') return createUnconfiguredAdapter();
+  return createFileAdapter(process.env.DATA_DIR || path.join(process.cwd(), '.data'));
+}
+
+const adapter = createAdapter();
+const queues = new Map();
+
+// Serialise read-modify-write cycles per key within this instance, and across instances
+// when the adapter can lock. `mutate` receives the current document and returns the one to persist.
+function update(key, fallback, mutate) {
+  const prev = queues.get(key) || Promise.resolve();
+  const cycle = async () => {
+    const current = await adapter.read(key, fallback);
+    const value = await mutate(current);
+    await adapter.write(key, value);
+    return value;
+  };
+  const next = prev.catch(() => {}).then(() => (adapter.lock ? adapter.lock(key, cycle) : cycle()));
+  queues.set(key, next);
+  next.finally(() => { if (queues.get(key) === next) queues.delete(key); }).catch(() => {});
+  return next;
+}
+
+module.exports = {
+  read: (key, fallback = null) => adapter.read(key, fallback),
+  write: (key, value) => adapter.write(key, value),
+  update
+};
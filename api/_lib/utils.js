@@ -16,13 +16,33 @@ function getClientIp(req) {
   return (req.socket && req.socket.remoteAddress) ? req.socket.remoteAddress : '0.0.0.0';
 }
 
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep input order.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value.trim().slice(0, maxLength).replace(/[<>]/g, '');
+}
+
 function parseCookies(req) {
   const header = req.headers.cookie || '';
   const out = {};
   header.split(';').forEach(part => {
     const [k, ...rest] = part.trim().split('=');
     if (!k) return;
-    out[k] = decodeURIComponent(rest.join('=') || '');
+    const raw = rest.join('=') || '';
+    try { out[k] = decodeURIComponent(raw); } catch (_) { out[k] = raw; }
   });
   return out;
 }
@@ -82,4 +102,4 @@ function allowCorsSameOrigin(req, res) {
   }
 }
 
-module.exports = { json, getClientIp, parseCookies, setCookie, readJsonBody, allowCorsSameOrigin };
+module.exports = { json, getClientIp, mapLimit, cleanText, parseCookies, setCookie, readJsonBody, allowCorsSameOrigin };
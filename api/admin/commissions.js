@@ -0,0 +1,66 @@
+'use strict';
+
+const { json, readJsonBody } = require('../_lib/utils');
+const { requireAdmin, notFound } = require('../_lib/auth');
+const store = require('../_lib/store');
+const { STORE_KEY, STATUSES } = require('../_lib/commissions');
+
+// Each action moves a commission to a status and stamps when it happened.
+const ACTIONS = {
+  accept: { status: 'accepted', stamp: 'acceptedAt' },
+  start: { status: 'in_progress', stamp: 'startedAt' },
+  complete: { status: 'completed', stamp: 'completedAt' },
+  decline: { status: 'declined', stamp: 'declinedAt' }
+};
+// The admin list defaults to everything that still needs my attention.
+const OPEN_STATUSES = ['new', 'accepted', 'in_progress'];
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+    const status = url.searchParams.get('status') || 'open';
+    if (status !== 'all' && status !== 'open' && !STATUSES.includes(status)) return json(res, 400, { ok: false, error: 'Unknown status filter.', code: 400 });
+
+    try {
+      const commissions = await store.read(STORE_KEY, []);
+      const wanted = status === 'open' ? OPEN_STATUSES : [status];
+      const data = commissions.filter(c => status === 'all' || wanted.includes(c.status)).reverse();
+      return json(res, 200, { ok: true, data, count: data.length });
+    } catch (e) {
+      return json(res, 500, { ok: false, error: 'An error occurred while loading commissions.', code: 500 });
+    }
+  }
+
+  if (req.method !== 'PATCH') return notFound(res);
+
+  let body;
+  try {
+    body = await readJsonBody(req, 2_000);
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  const { id, action } = body || {};
+  if (typeof id !== 'string' || !id) return json(res, 400, { ok: false, error: 'Commission id is required.', code: 400 });
+  if (!ACTIONS[action]) return json(res, 400, { ok: false, error: 'Action must be accept, start, complete or decline.', code: 400 });
+
+  const { status, stamp } = ACTIONS[action];
+  let updated = null;
+  try {
+    await store.update(STORE_KEY, [], commissions => commissions.map(c => {
+      if (c.id !== id) return c;
+      updated = { ...c, status, [stamp]: new Date().toISOString() };
+      // Starting straight from "new" still counts as accepting it.
+      if (status === 'in_progress' && !updated.acceptedAt) updated.acceptedAt = updated.startedAt;
+      return updated;
+    }));
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while saving the commission.', code: 500 });
+  }
+
+  if (!updated) return json(res, 404, { ok: false, error: 'Commission not found.', code: 404 });
+  return json(res, 200, { ok: true, data: updated });
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const { json, readJsonBody, setCookie } = require('../_lib/utils');
+const { createRateLimiter } = require('../_lib/rateLimit');
+const { COOKIE_NAME, SESSION_TTL_SEC, signToken, isIpAllowed, checkPassword, notFound } = require('../_lib/auth');
+
+const limiter = createRateLimiter({ name: 'admin-login', limit: 5, windowSec: 900 });
+
+module.exports = async (req, res) => {
+  if (!isIpAllowed(req)) return notFound(res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'DELETE') {
+    setCookie(res, COOKIE_NAME, '', { httpOnly: true, maxAge: 0 });
+    return json(res, 200, { ok: true });
+  }
+  if (req.method !== 'POST') return notFound(res);
+
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Too many attempts. Please try again later.', code: 429 });
+
+  let body;
+  try {
+    body = await readJsonBody(req, 2_000);
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  if (!checkPassword(body && body.password)) return notFound(res);
+
+  setCookie(res, COOKIE_NAME, signToken({ role: 'admin' }), { httpOnly: true, maxAge: SESSION_TTL_SEC });
+  return json(res, 200, { ok: true });
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const { json, readJsonBody, cleanText } = require('../_lib/utils');
+const { requireAdmin, notFound } = require('../_lib/auth');
+const store = require('../_lib/store');
+const { STORE_KEY, createCode } = require('../_lib/orderCodes');
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    try {
+      const codes = (await store.read(STORE_KEY, [])).slice().reverse();
+      return json(res, 200, { ok: true, data: codes, count: codes.length });
+    } catch (e) {
+      return json(res, 500, { ok: false, error: 'An error occurred while loading order codes.', code: 500 });
+    }
+  }
+
+  if (req.method !== 'POST') return notFound(res);
+
+  let body;
+  try {
+    body = await readJsonBody(req, 2_000);
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  const project = cleanText(body && body.project, 100);
+  const client = cleanText(body && body.client, 50);
+  if (project.length < 2) return json(res, 400, { ok: false, error: 'Project must be at least 2 characters.', code: 400 });
+
+  try {
+    const record = await createCode(project, client);
+    return json(res, 201, { ok: true, data: record });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while creating the order code.', code: 500 });
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+const { json, readJsonBody } = require('../_lib/utils');
+const { requireAdmin, notFound } = require('../_lib/auth');
+const store = require('../_lib/store');
+const { STORE_KEY, STATUSES, validateReview, statusOf, toAdmin } = require('../_lib/reviews');
+
+const ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+    const status = url.searchParams.get('status') || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) return json(res, 400, { ok: false, error: 'Unknown status filter.', code: 400 });
+
+    try {
+      const reviews = await store.read(STORE_KEY, []);
+      const data = reviews.filter(r => status === 'all' || statusOf(r) === status).reverse().map(toAdmin);
+      return json(res, 200, { ok: true, data, count: data.length });
+    } catch (e) {
+      return json(res, 500, { ok: false, error: 'An error occurred while loading reviews.', code: 500 });
+    }
+  }
+
+  if (req.method !== 'PATCH') return notFound(res);
+
+  let body;
+  try {
+    body = await readJsonBody(req, 10_000);
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  const { id, action } = body || {};
+  if (typeof id !== 'string' || !id) return json(res, 400, { ok: false, error: 'Review id is required.', code: 400 });
+
+  let changes;
+  if (ACTIONS[action]) {
+    changes = { status: ACTIONS[action] };
+  } else if (action === 'edit') {
+    const { review, error } = validateReview(body);
+    if (error) return json(res, 400, { ok: false, error, code: 400 });
+    changes = review;
+  } else {
+    return json(res, 400, { ok: false, error: 'Action must be approve, reject or edit.', code: 400 });
+  }
+
+  let updated = null;
+  try {
+    await store.update(STORE_KEY, [], reviews => reviews.map(r => {
+      if (r.id !== id) return r;
+      // A verified review keeps the project its order code was issued for.
+      updated = { ...r, ...changes, ...(r.verified && { project: r.project }), moderatedAt: new Date().toISOString() };
+      return updated;
+    }));
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while saving the review.', code: 500 });
+  }
+
+  if (!updated) return json(res, 404, { ok: false, error: 'Review not found.', code: 404 });
+  return json(res, 200, { ok: true, data: toAdmin(updated) });
+};
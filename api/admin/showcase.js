@@ -0,0 +1,74 @@
+'use strict';
+
+const { json, readJsonBody } = require('../_lib/utils');
+const { requireAdmin, notFound } = require('../_lib/auth');
+const store = require('../_lib/store');
+const { STORE_KEY, MAX_GAMES, DEFAULT_SHOWCASE, list, validateEntry } = require('../_lib/showcase');
+
+// Thrown inside store.update to abort the write with a client-facing error.
+class ShowcaseError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    try {
+      const games = await list();
+      return json(res, 200, { ok: true, data: games, count: games.length });
+    } catch (e) {
+      return json(res, 500, { ok: false, error: 'An error occurred while loading the showcase.', code: 500 });
+    }
+  }
+
+  if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) return notFound(res);
+
+  let body;
+  try {
+    body = (await readJsonBody(req, 4_000)) || {};
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  let mutate;
+  if (req.method === 'POST') {
+    const { entry, error } = validateEntry(body);
+    if (error) return json(res, 400, { ok: false, error, code: 400 });
+    mutate = (games) => {
+      if (games.some(g => g.placeId === entry.placeId)) throw new ShowcaseError('That game is already in the showcase.', 409);
+      if (games.length >= MAX_GAMES) throw new ShowcaseError(`The showcase holds at most ${MAX_GAMES} games.`, 400);
+      return [...games, { ...entry, addedAt: new Date().toISOString() }];
+    };
+  } else {
+    const placeId = String(body.placeId ?? '');
+    const { entry: changes, error } = req.method === 'PATCH' ? validateEntry({ ...body, placeId: undefined }, true) : { entry: null };
+    if (error) return json(res, 400, { ok: false, error, code: 400 });
+    mutate = (games) => {
+      const index = games.findIndex(g => g.placeId === placeId);
+      if (index === -1) throw new ShowcaseError('Game not found in the showcase.', 404);
+      if (!changes) return games.filter((_, i) => i !== index);
+
+      const next = games.slice();
+      next[index] = { ...games[index], ...changes };
+      // `position` moves the game within the list, which is the order visitors see by default.
+      if (Number.isInteger(body.position)) {
+        const [moved] = next.splice(index, 1);
+        next.splice(Math.max(0, Math.min(body.position, next.length)), 0, moved);
+      }
+      return next;
+    };
+  }
+
+  try {
+    const games = await store.update(STORE_KEY, DEFAULT_SHOWCASE, mutate);
+    return json(res, req.method === 'POST' ? 201 : 200, { ok: true, data: games, count: games.length });
+  } catch (e) {
+    if (e instanceof ShowcaseError) return json(res, e.status, { ok: false, error: e.message, code: e.status });
+    return json(res, 500, { ok: false, error: 'An error occurred while saving the showcase.', code: 500 });
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const crypto = require('crypto');
+const { json, allowCorsSameOrigin, readJsonBody } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const store = require('./_lib/store');
+const { STORE_KEY, generateReference, validateCommission } = require('./_lib/commissions');
+const { getAvailability } = require('./_lib/availability');
+
+const limiter = createRateLimiter({ name: 'commissions-post', limit: 3, windowSec: 600 });
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'POST') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  let body;
+  try {
+    body = (await readJsonBody(req, 10_000)) || {};
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  const { commission, error, field } = validateCommission(body);
+  if (error) return json(res, 400, { ok: false, error, code: 400, field });
+
+  // Only well-formed submissions count, so a typo does not use up the visitor's attempts.
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Too many requests submitted. Please try again later.', code: 429 });
+
+  try {
+    const { state, nextOpening } = await getAvailability();
+    if (state === 'closed') return json(res, 409, { ok: false, error: `Commissions are closed right now. They reopen around ${nextOpening}.`, code: 409, nextOpening });
+
+    let record;
+    await store.update(STORE_KEY, [], (commissions) => {
+      const taken = new Set(commissions.map(c => c.reference));
+      let reference = generateReference();
+      while (taken.has(reference)) reference = generateReference();
+      record = { id: crypto.randomUUID(), reference, ...commission, status: 'new', createdAt: new Date().toISOString() };
+      return [...commissions, record];
+    });
+    return json(res, 201, { ok: true, reference: record.reference });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while sending your request. Please try again.', code: 500 });
+  }
+};
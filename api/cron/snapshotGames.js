@@ -0,0 +1,28 @@
+'use strict';
+
+const crypto = require('crypto');
+const { json } = require('../_lib/utils');
+const { notFound } = require('../_lib/auth');
+const { takeSnapshot } = require('../_lib/history');
+
+// Vercel Cron calls this with `Authorization: Bearer ${CRON_SECRET}`; anyone else gets a 404.
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' || !isCronRequest(req)) return notFound(res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { recorded, failed } = await takeSnapshot();
+    if (failed.length && !recorded.length) return json(res, 502, { ok: false, error: 'Could not load game data from Roblox.', code: 502, failed });
+    return json(res, 200, { ok: true, recorded: recorded.length, failed });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while recording the snapshot.', code: 500 });
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const { json, allowCorsSameOrigin } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const { getGameIconImage } = require('./_lib/roblox');
+
+// A games page shows up to 20 icons, so this allows a few full reloads per minute.
+const limiter = createRateLimiter({ name: 'game-icon', limit: 120, windowSec: 60 });
+
+const DEADLINE_MS = 8000;
+const PLACEHOLDER = '/images/placeholder-game.svg';
+
+function redirectToPlaceholder(res) {
+  res.statusCode = 302;
+  res.setHeader('Location', PLACEHOLDER);
+  // Short-lived so a recovered icon shows up again soon.
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
+  res.end();
+}
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+
+  const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+  const universeId = (url.searchParams.get('universeId') || '').trim();
+  if (!/^\d{1,20}$/.test(universeId)) return json(res, 400, { ok: false, error: 'A numeric universeId is required.', code: 400 });
+
+  try {
+    const image = await getGameIconImage(universeId, Date.now() + DEADLINE_MS);
+    if (!image) return redirectToPlaceholder(res);
+
+    const body = Buffer.from(image.body, 'base64');
+    res.statusCode = 200;
+    res.setHeader('Content-Type', image.type);
+    res.setHeader('Content-Length', String(body.length));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.setHeader('Cache-Control', 'public, max-age=86400, s-maxage=86400, stale-while-revalidate=604800');
+    return res.end(body);
+  } catch (e) {
+    return redirectToPlaceholder(res);
+  }
+};
@@ -1,24 +1,19 @@
 'use strict';
 
-const { json, allowCorsSameOrigin, getClientIp } = require('./_lib/utils');
+const { json, allowCorsSameOrigin } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const { resolveUniverses, getGameInfo, getGameIcons, getGameVotes } = require('./_lib/roblox');
+const showcase = require('./_lib/showcase');
 
-const ALLOWED_HOSTS = new Set(['apis.roblox.com', 'games.roblox.com', 'thumbnails.roblox.com']);
+const limiter = createRateLimiter({ name: 'games', limit: 30, windowSec: 60 });
 
-// Simple in-memory limiter (best-effort on serverless)
-const rateState = global.__yd_rateState || (global.__yd_rateState = new Map());
+// Upper bound for all upstream work in one request, retries included.
+const DEADLINE_MS = 9000;
 
-function rateLimit(ip, limit = 30, windowSec = 60) {
-  const now = Date.now();
-  const key = `${ip}`;
-  const bucket = rateState.get(key) || [];
-  const fresh = bucket.filter(t => (now - t) < windowSec * 1000);
-  if (fresh.length >= limit) {
-    rateState.set(key, fresh);
-    return false;
-  }
-  fresh.push(now);
-  rateState.set(key, fresh);
-  return true;
+const STAT_FIELDS = ['name', 'visits', 'playing', 'favorites', 'maxPlayers', 'genre', 'created', 'updated'];
+
+function sumOf(items, field) {
+  return items.reduce((sum, g) => (typeof g[field] === 'number' && Number.isFinite(g[field]) ? sum + Math.floor(g[field]) : sum), 0);
 }
 
 function validatePlaceIds(idsStr) {
@@ -33,35 +28,6 @@ function validatePlaceIds(idsStr) {
   return out;
 }
 
-async function fetchJson(url, timeoutMs = 8000) {
-  const u = new URL(url);
-  if (!ALLOWED_HOSTS.has(u.host)) return null;
-
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: { 'Accept': 'application/json', 'User-Agent': 'YoussefDesign-Portfolio/1.0' },
-      redirect: 'error',
-      signal: ctrl.signal
-    });
-    if (!res.ok) return null;
-    return await res.json();
-  } catch (_) {
-    return null;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function placeToUniverseId(placeId) {
-  const data = await fetchJson(`https://apis.roblox.com/universes/v1/places/${placeId}/universe`);
-  if (data && typeof data.universeId === 'number') return String(data.universeId);
-  if (data && typeof data.universeId === 'string' && /^\d+$/.test(data.universeId)) return String(data.universeId);
-  return placeId;
-}
-
 module.exports = async (req, res) => {
   allowCorsSameOrigin(req, res);
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -71,50 +37,66 @@ module.exports = async (req, res) => {
   if (req.method === 'OPTIONS') return json(res, 204, {});
   if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
 
-  const ip = getClientIp(req);
-  if (!rateLimit(ip, 30, 60)) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
 
   const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
-  const placeIds = validatePlaceIds(url.searchParams.get('ids') || '');
-  if (!placeIds.length) return json(res, 400, { ok: false, error: 'No valid place IDs provided. IDs must be numeric.', code: 400 });
+  const idsParam = url.searchParams.get('ids');
 
   try {
-    const universeMap = {};
-    for (const pid of placeIds) universeMap[pid] = await placeToUniverseId(pid);
-    const uniqueUniverses = [...new Set(Object.values(universeMap))];
-
-    const infoData = await fetchJson(`https://games.roblox.com/v1/games?universeIds=${uniqueUniverses.join(',')}`);
-    const iconData = await fetchJson(`https://thumbnails.roblox.com/v1/games/icons?universeIds=${uniqueUniverses.join(',')}&size=420x420&format=Png&isCircular=false`);
-
-    const gameInfo = {};
-    if (infoData && Array.isArray(infoData.data)) {
-      for (const g of infoData.data) {
-        if (g && g.id != null) {
-          gameInfo[String(g.id)] = { name: g.name ?? null, visits: g.visits ?? null };
-        }
-      }
+    // Without `ids` the server-managed showcase decides which games are shown and adds its metadata.
+    let entries = {};
+    let placeIds;
+    if (idsParam === null) {
+      const games = await showcase.list();
+      entries = Object.fromEntries(games.map(g => [g.placeId, g]));
+      placeIds = games.map(g => g.placeId);
+      if (!placeIds.length) return json(res, 200, { ok: true, data: [], totalVisits: '0', totalPlaying: '0', totalFavorites: '0', count: 0, failed: 0 });
+    } else {
+      placeIds = validatePlaceIds(idsParam);
+      if (!placeIds.length) return json(res, 400, { ok: false, error: 'No valid place IDs provided. IDs must be numeric.', code: 400 });
     }
 
-    const gameIcons = {};
-    if (iconData && Array.isArray(iconData.data)) {
-      for (const i of iconData.data) {
-        if (i && i.targetId != null && i.imageUrl) {
-          gameIcons[String(i.targetId)] = i.imageUrl;
-        }
-      }
-    }
+    const deadline = Date.now() + DEADLINE_MS;
+    const resolved = await resolveUniverses(placeIds, deadline);
+    const uniqueUniverses = [...new Set(Object.values(resolved).map(r => r.universeId).filter(Boolean))];
+
+    const [gameInfo, gameIcons, gameVotes] = uniqueUniverses.length
+      ? await Promise.all([getGameInfo(uniqueUniverses, deadline), getGameIcons(uniqueUniverses, deadline), getGameVotes(uniqueUniverses, deadline)])
+      : [{}, {}, {}];
 
     const out = [];
-    let total = 0;
     for (const pid of placeIds) {
-      const uid = universeMap[pid];
-      const info = gameInfo[uid] || { name: null, visits: null };
-      const icon = gameIcons[uid] || null;
-      out.push({ inputId: pid, universeId: uid, name: info.name, visits: info.visits, icon });
-      if (typeof info.visits === 'number' && Number.isFinite(info.visits)) total += Math.floor(info.visits);
+      const { universeId = null, error } = resolved[pid];
+      const info = gameInfo[universeId] || {};
+      const votes = gameVotes[universeId] || null;
+      const item = { inputId: pid, universeId };
+      STAT_FIELDS.forEach(f => { item[f] = info[f] ?? null; });
+      item.upVotes = votes ? votes.upVotes : null;
+      item.downVotes = votes ? votes.downVotes : null;
+      item.likeRatio = votes && (votes.upVotes + votes.downVotes) > 0 ? votes.upVotes / (votes.upVotes + votes.downVotes) : null;
+      // Icons go through our own proxy so the page never loads images from a third-party host.
+      item.icon = gameIcons[universeId] ? `/api/gameIcon?universeId=${universeId}` : null;
+      if (entries[pid]) {
+        const { client, role, portfolio, featured } = entries[pid];
+        Object.assign(item, { client: client || null, role: role || null, portfolio: portfolio || [], featured: !!featured });
+      }
+      if (error) item.error = error;
+      else if (!gameInfo[universeId]) item.error = 'Game details unavailable';
+      out.push(item);
     }
 
-    return json(res, 200, { ok: true, data: out, totalVisits: String(total), count: out.length }, { 'Cache-Control': 'public, max-age=60, s-maxage=60' });
+    // Several place IDs can share a universe; count each universe once.
+    const unique = [...new Map(out.filter(g => g.universeId && !g.error).map(g => [g.universeId, g])).values()];
+    const totals = {
+      totalVisits: String(sumOf(unique, 'visits')),
+      totalPlaying: String(sumOf(unique, 'playing')),
+      totalFavorites: String(sumOf(unique, 'favorites'))
+    };
+
+    const failed = out.filter(g => g.error).length;
+    if (failed === out.length) return json(res, 502, { ok: false, error: 'Could not load game data from Roblox. Please try again.', code: 502, data: out });
+
+    return json(res, 200, { ok: true, data: out, ...totals, count: out.length, failed }, { 'Cache-Control': failed ? 'no-store' : 'public, max-age=60, s-maxage=60' });
   } catch (e) {
     return json(res, 500, { ok: false, error: 'An error occurred while fetching game data. Please try again.', code: 500 });
   }
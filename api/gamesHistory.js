@@ -0,0 +1,38 @@
+'use strict';
+
+const { json, allowCorsSameOrigin } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const { RETENTION_DAYS, getHistory } = require('./_lib/history');
+
+const limiter = createRateLimiter({ name: 'games-history', limit: 30, windowSec: 60 });
+
+const DEFAULT_DAYS = 90;
+const MAX_UNIVERSES = 20;
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+
+  const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+  // A comma-separated list lets the Games page fetch every card's history in one request.
+  const universeIds = [...new Set((url.searchParams.get('universeId') || '').split(',').map(s => s.trim()))]
+    .filter(id => /^\d{1,20}$/.test(id))
+    .slice(0, MAX_UNIVERSES);
+  if (!universeIds.length) return json(res, 400, { ok: false, error: 'No valid universe ID provided. IDs must be numeric.', code: 400 });
+
+  const days = Math.min(RETENTION_DAYS, Math.max(1, parseInt(url.searchParams.get('days'), 10) || DEFAULT_DAYS));
+
+  try {
+    const data = await getHistory(universeIds, days);
+    return json(res, 200, { ok: true, data, days, count: data.length }, { 'Cache-Control': 'public, max-age=300, s-maxage=300' });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while loading game history. Please try again.', code: 500 });
+  }
+};
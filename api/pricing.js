@@ -0,0 +1,33 @@
+'use strict';
+
+const { json, allowCorsSameOrigin } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const { COUNTRY_CURRENCIES, getPricing, getLocalCurrency } = require('./_lib/pricing');
+
+const limiter = createRateLimiter({ name: 'pricing', limit: 60, windowSec: 60 });
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+
+  // ?currency=EUR picks the local currency; otherwise it follows the visitor's country (set by Vercel).
+  const url = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+  const requested = (url.searchParams.get('currency') || '').trim().toUpperCase();
+  const country = String(req.headers['x-vercel-ip-country'] || '').toUpperCase();
+  const currency = requested || COUNTRY_CURRENCIES[country] || null;
+
+  try {
+    const local = await getLocalCurrency(currency);
+    // The local currency depends on the visitor, so shared caches must not keep this answer.
+    return json(res, 200, { ok: true, data: { ...getPricing(), local } }, { 'Cache-Control': 'private, max-age=300' });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while loading pricing. Please try again.', code: 500 });
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const crypto = require('crypto');
+const { json, allowCorsSameOrigin, readJsonBody } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const store = require('./_lib/store');
+const { STORE_KEY, validateReview, statusOf, toPublic } = require('./_lib/reviews');
+const { normalizeCode, redeemCode, releaseCode } = require('./_lib/orderCodes');
+
+const readLimiter = createRateLimiter({ name: 'reviews', limit: 60, windowSec: 60 });
+const writeLimiter = createRateLimiter({ name: 'reviews-post', limit: 3, windowSec: 600 });
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'GET' && req.method !== 'POST') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  if (req.method === 'GET') {
+    if (!(await readLimiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+    try {
+      const reviews = (await store.read(STORE_KEY, [])).filter(r => statusOf(r) === 'approved').reverse();
+      return json(res, 200, { ok: true, data: reviews.map(toPublic), count: reviews.length }, { 'Cache-Control': 'public, max-age=30, s-maxage=30' });
+    } catch (e) {
+      return json(res, 500, { ok: false, error: 'An error occurred while loading reviews. Please try again.', code: 500 });
+    }
+  }
+
+  let body;
+  try {
+    body = (await readJsonBody(req, 10_000)) || {};
+  } catch (e) {
+    return json(res, 400, { ok: false, error: e.message, code: 400 });
+  }
+
+  const { review, error } = validateReview(body);
+  if (error) return json(res, 400, { ok: false, error, code: 400 });
+
+  // Only well-formed reviews count; order-code guesses still do.
+  if (!(await writeLimiter.check(req, res))) return json(res, 429, { ok: false, error: 'Too many reviews submitted. Please try again later.', code: 429 });
+
+  const orderCode = body.orderCode ? normalizeCode(body.orderCode) : '';
+  if (body.orderCode && !orderCode) return json(res, 400, { ok: false, error: 'That order code is not valid.', code: 400, field: 'orderCode' });
+
+  const record = {
+    id: crypto.randomUUID(),
+    ...review,
+    date: new Date().toISOString().slice(0, 7),
+    verified: false,
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    // The server alone decides verification: a code is spent once and pins the review to its project.
+    if (orderCode) {
+      const redeemed = await redeemCode(orderCode, record.id);
+      if (!redeemed) return json(res, 400, { ok: false, error: 'That order code is not valid or has already been used.', code: 400, field: 'orderCode' });
+      Object.assign(record, { verified: true, project: redeemed.project, orderCode: redeemed.code });
+    }
+
+    await store.update(STORE_KEY, [], reviews => [...reviews, record]);
+    return json(res, 201, { ok: true, data: toPublic(record), status: record.status });
+  } catch (e) {
+    // The review was not saved, so its code can be used again
+    if (record.verified) await releaseCode(record.orderCode, record.id).catch(() => {});
+    return json(res, 500, { ok: false, error: 'An error occurred while saving your review. Please try again.', code: 500 });
+  }
+};
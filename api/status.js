@@ -0,0 +1,26 @@
+'use strict';
+
+const { json, allowCorsSameOrigin } = require('./_lib/utils');
+const { createRateLimiter } = require('./_lib/rateLimit');
+const { getAvailability } = require('./_lib/availability');
+
+const limiter = createRateLimiter({ name: 'status', limit: 60, windowSec: 60 });
+
+module.exports = async (req, res) => {
+  allowCorsSameOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') return json(res, 204, {});
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  if (!(await limiter.check(req, res))) return json(res, 429, { ok: false, error: 'Rate limit exceeded. Please try again later.', code: 429 });
+
+  try {
+    const data = await getAvailability();
+    return json(res, 200, { ok: true, data }, { 'Cache-Control': 'public, max-age=60, s-maxage=60, stale-while-revalidate=300' });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'An error occurred while loading the commission status. Please try again.', code: 500 });
+  }
+};
@@ -24,16 +24,16 @@
     // ═══════════════════════════════════════════════════════════════
     
     const CONFIG = Object.freeze({
-        GAME_PLACE_IDS: [
-            '111021125092689',
-            '128915436393653',
-            '93605084835085',
-            '116868134708688',
-            '85746704401525',
-            '92369489899222',
-            '121873420604621'
-        ],
         API_ENDPOINT: '/api/gamesData',
+        HISTORY_ENDPOINT: '/api/gamesHistory',
+        PORTFOLIO_MANIFEST: '/data/portfolio.json',
+        LOCALES_PATH: '/data/locales',
+        IMAGE_MANIFEST: '/data/images.json',
+        REVIEWS_ENDPOINT: '/api/reviews',
+        PRICING_ENDPOINT: '/api/pricing',
+        COMMISSIONS_ENDPOINT: '/api/commissions',
+        STATUS_ENDPOINT: '/api/status',
+        ADMIN_ENDPOINT: '/api/admin',
         LOADER_DELAY: 500,
         RATE_LIMIT: 10,
         RATE_WINDOW: 60000,
@@ -42,11 +42,21 @@
             MUSIC: 'yd_music_prefs',
             SETTINGS: 'yd_site_settings',
             LANGUAGE: 'yd_language',
-            REVIEWS: 'userReviews',
             WELCOME: 'welcomeFrameShown_v4'
         })
     });
 
+    // Languages offered in the switchers. Adding one takes an entry here and data/locales/<code>.json.
+    // `intl` is the tag numbers and dates are formatted with; Arabic asks for Arabic-Indic digits.
+    const LOCALES = [
+        { code: 'en', name: 'English', short: 'EN', dir: 'ltr', intl: 'en' },
+        { code: 'ar', name: 'العربية', short: 'AR', dir: 'rtl', intl: 'ar-u-nu-arab' },
+        { code: 'es', name: 'Español', short: 'ES', dir: 'ltr', intl: 'es' }
+    ];
+
+    // Matches STYLES in api/_lib/commissions.js
+    const COMMISSION_STYLES = ['simulator', 'anime', 'horror', 'cartoon', 'minimal', 'scifi', 'other'];
+
     // ═══════════════════════════════════════════════════════════════
     // UTILITY MODULE
     // ═══════════════════════════════════════════════════════════════
@@ -74,16 +84,13 @@
         },
 
         /**
-         * Format large numbers (1.5M, 2.3B, etc)
+         * Format large numbers compactly in the current language (1.5M, 1,5 M, ١٫٥ مليون)
          */
         formatNumber(n) {
             if (n == null) return '—';
             const num = Number(n);
             if (isNaN(num)) return '—';
-            if (num >= 1e9) return (num / 1e9).toFixed(1) + 'B';
-            if (num >= 1e6) return (num / 1e6).toFixed(1) + 'M';
-            if (num >= 1e3) return (num / 1e3).toFixed(1) + 'K';
-            return num.toLocaleString();
+            return I18n.formatNumber(num, { notation: 'compact', maximumFractionDigits: 1 });
         },
 
         /**
@@ -159,27 +166,314 @@
     // ═══════════════════════════════════════════════════════════════
     
     const ReviewsData = {
+        // Written before order codes existed; only the server can mark a review verified
         defaultReviews: [
-            { name: 'schwerer', project: 'Game UI', rating: 5, text: 'affordable, fast, flexible with revisions and good quality solid', date: '2024-11', verified: true },
-            { name: 'Gren', project: 'Full Game UI', rating: 5, text: 'Very fast orders and good quality', date: '2024-10', verified: true },
-            { name: 'snowstorm/king', project: 'UI Design', rating: 5, text: 'good, cheap, fast, ui is high quality and more affordable', date: '2024-10', verified: true },
-            { name: '10dok', project: 'Game UI', rating: 5, text: 'super good and affordable, without your ui I wouldve quit finishing my game', date: '2024-09', verified: true },
-            { name: 'nilcous', project: 'Full UI Pack', rating: 4, text: 'handled everything perfectly, great experience, fast delivery. Could improve communication', date: '2024-09', verified: true },
-            { name: 'CyraX', project: 'UI Commission', rating: 5, text: 'Very fast and efficient, did exactly what I want. Recommended UI artist!', date: '2024-08', verified: true },
-            { name: 'ephemeralrequiem', project: 'Game Interface', rating: 5, text: 'high quality work, fast delivery and good communication', date: '2024-08', verified: true },
-            { name: 'pdawgdev', project: 'Custom UI', rating: 5, text: 'high quality and fully customizable, listened to what I wanted', date: '2024-07', verified: true },
-            { name: 'mystery_0001', project: 'UI Design', rating: 5, text: 'fast delivery & easy to work with, highly recommend!', date: '2024-07', verified: true }
+            { name: 'schwerer', project: 'Game UI', rating: 5, text: 'affordable, fast, flexible with revisions and good quality solid', date: '2024-11', verified: false },
+            { name: 'Gren', project: 'Full Game UI', rating: 5, text: 'Very fast orders and good quality', date: '2024-10', verified: false },
+            { name: 'snowstorm/king', project: 'UI Design', rating: 5, text: 'good, cheap, fast, ui is high quality and more affordable', date: '2024-10', verified: false },
+            { name: '10dok', project: 'Game UI', rating: 5, text: 'super good and affordable, without your ui I wouldve quit finishing my game', date: '2024-09', verified: false },
+            { name: 'nilcous', project: 'Full UI Pack', rating: 4, text: 'handled everything perfectly, great experience, fast delivery. Could improve communication', date: '2024-09', verified: false },
+            { name: 'CyraX', project: 'UI Commission', rating: 5, text: 'Very fast and efficient, did exactly what I want. Recommended UI artist!', date: '2024-08', verified: false },
+            { name: 'ephemeralrequiem', project: 'Game Interface', rating: 5, text: 'high quality work, fast delivery and good communication', date: '2024-08', verified: false },
+            { name: 'pdawgdev', project: 'Custom UI', rating: 5, text: 'high quality and fully customizable, listened to what I wanted', date: '2024-07', verified: false },
+            { name: 'mystery_0001', project: 'UI Design', rating: 5, text: 'fast delivery & easy to work with, highly recommend!', date: '2024-07', verified: false }
         ],
 
+        remoteReviews: [],
+
+        /**
+         * Fetch approved reviews from the server (newest first)
+         */
+        async load() {
+            if (!Utils.rateLimiter.canMakeRequest('reviews')) return this.getAll();
+
+            try {
+                const res = await fetch(CONFIG.REVIEWS_ENDPOINT);
+                if (!res.ok) {
+                    throw new Error(`HTTP ${res.status}`);
+                }
+                const data = await res.json();
+                if (data.ok && Array.isArray(data.data)) {
+                    this.remoteReviews = data.data;
+                }
+            } catch (err) {
+                console.warn('Reviews fetch error:', err);
+            }
+            return this.getAll();
+        },
+
         getAll() {
-            const saved = Utils.storage.get(CONFIG.STORAGE_KEYS.REVIEWS, []);
-            return [...this.defaultReviews, ...saved];
+            return [...this.remoteReviews, ...this.defaultReviews];
+        },
+
+        async add(review) {
+            const res = await fetch(CONFIG.REVIEWS_ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(review)
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+                throw new Error(data.error || `HTTP ${res.status}`);
+            }
+            return data.data;
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // PORTFOLIO DATA
+    // ═══════════════════════════════════════════════════════════════
+
+    const PortfolioData = {
+        items: [],
+        categories: [],
+        // Optimized variants by original path, built by scripts/build-images.js
+        images: {},
+        loaded: false,
+        pending: null,
+
+        /**
+         * Fetch the portfolio manifest once; later calls reuse it
+         */
+        load() {
+            if (this.loaded) return Promise.resolve(this.items);
+            if (!this.pending) {
+                // Without the image manifest every picture simply uses its original file
+                const images = fetch(CONFIG.IMAGE_MANIFEST)
+                    .then(res => (res.ok ? res.json() : {}))
+                    .catch(() => ({}));
+                this.pending = fetch(CONFIG.PORTFOLIO_MANIFEST)
+                    .then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return Promise.all([res.json(), images]);
+                    })
+                    .then(([data, variants]) => {
+                        this.images = {};
+                        Object.entries(variants && typeof variants === 'object' ? variants : {}).forEach(([src, info]) => {
+                            Object.values(info.sources || {}).flat().forEach(v => { v.src = this.rooted(v.src); });
+                            this.images[this.rooted(src)] = info;
+                        });
+                        this.categories = Array.isArray(data.categories) ? data.categories : [];
+                        this.items = (Array.isArray(data.items) ? data.items : [])
+                            .filter(item => item.slug && Array.isArray(item.images) && item.images.length);
+                        this.items.forEach(item => {
+                            [...item.images, item.comparison?.before, item.comparison?.after]
+                                .forEach(image => { if (image) image.src = this.rooted(image.src); });
+                        });
+                        this.loaded = true;
+                        return this.items;
+                    })
+                    .finally(() => { this.pending = null; });
+            }
+            return this.pending;
+        },
+
+        get(slug) {
+            return this.items.find(item => item.slug === slug) || null;
+        },
+
+        // The manifests list paths from the site root, but pages live at paths like /portfolio/<slug>
+        rooted(src) {
+            return typeof src === 'string' && !/^(\/|[a-z]+:)/i.test(src) ? `/${src}` : src;
+        },
+
+        variants(src) {
+            return this.images[src] || null;
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRICING DATA (served by /api/pricing; drives the cards, policies and calculator)
+    // ═══════════════════════════════════════════════════════════════
+
+    const PricingData = {
+        // Robux prices are what I receive; the buyer also covers Roblox's marketplace cut
+        marketplaceTax: 0,
+        robuxPerUsd: 0,
+        plans: [],
+        // importPerFrame, customUi, hud, frameDesign, psd and rush
+        extras: {},
+        // { currency, rate } for the visitor's own currency, when known
+        local: null,
+        loaded: false,
+        failed: false,
+        pending: null,
+
+        /**
+         * Fetch the pricing table once; later calls reuse it
+         */
+        load() {
+            if (this.loaded) return Promise.resolve(this);
+            if (!this.pending) {
+                this.pending = fetch(CONFIG.PRICING_ENDPOINT)
+                    .then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return res.json();
+                    })
+                    .then(data => {
+                        if (!data.ok || !data.data || !Array.isArray(data.data.plans)) throw new Error('Invalid pricing data');
+                        const { marketplaceTax, robuxPerUsd, plans, extras, local } = data.data;
+                        Object.assign(this, { marketplaceTax, robuxPerUsd, plans, extras: extras || {}, local: local || null, loaded: true, failed: false });
+                    })
+                    .catch(err => {
+                        console.warn('Pricing fetch error:', err);
+                        this.failed = true;
+                    })
+                    .then(() => this)
+                    .finally(() => { this.pending = null; });
+            }
+            return this.pending;
+        },
+
+        plan(id) {
+            return this.plans.find(p => p.id === id) || null;
+        },
+
+        planName(plan) {
+            return I18n.translate(`pricing.plan.${plan.id}.name`);
+        },
+
+        // What the buyer has to send so that `robux` arrives after the marketplace cut
+        withTax(robux) {
+            return Math.ceil(robux / (1 - this.marketplaceTax));
+        },
+
+        USD_FORMAT: { style: 'currency', currency: 'USD', maximumFractionDigits: 0 },
+
+        // "$1,500" in English, "1500 US$" in Spanish
+        formatUsd(usd) {
+            return I18n.formatNumber(usd, this.USD_FORMAT);
+        },
+
+        // "1.2K" in English, "1,2 mil" in Spanish
+        formatRobux(robux) {
+            return I18n.formatNumber(robux, { notation: 'compact', maximumFractionDigits: 1 });
+        },
+
+        // "≈ 740 EGP" in the visitor's currency, or '' when it is unknown
+        formatLocal(usd) {
+            if (!this.local) return '';
+            try {
+                const amount = I18n.formatNumber(usd * this.local.rate, { style: 'currency', currency: this.local.currency, maximumFractionDigits: 0 });
+                return `≈ ${amount}`;
+            } catch (_) {
+                return '';
+            }
+        },
+
+        /**
+         * Itemized estimate for { plan, frames, huds, import, psd, rush }.
+         * Returns { lines: [{ key, count, usd, robux }], usd, robux, tax, robuxWithTax }.
+         */
+        quote({ plan: planId, frames = 1, huds = 0, import: wantsImport = false, psd = false, rush = false }) {
+            const { importPerFrame, customUi, hud } = this.extras;
+            const plan = this.plan(planId) || this.plans[0];
+            const lines = [];
+            const add = (key, count, unit) => {
+                if (count > 0) lines.push({ key, count, usd: unit.usd * count, robux: unit.robux * count });
+            };
+
+            if (plan.unit === 'project') {
+                add(plan.id, 1, plan);
+                add('extraUis', Math.max(0, frames - customUi.free), customUi);
+            } else if (plan.unit === 'frame') {
+                add('import', frames, importPerFrame);
+            } else {
+                add(plan.id, frames, plan);
+                if (wantsImport && !plan.includes.import) add('import', frames, importPerFrame);
+            }
+            add('extraHuds', Math.max(0, huds - hud.free), hud);
+            if (psd && !plan.includes.psd && plan.unit !== 'frame') add('psd', 1, this.extras.psd);
+
+            const subtotal = lines.reduce((sum, l) => ({ usd: sum.usd + l.usd, robux: sum.robux + l.robux }), { usd: 0, robux: 0 });
+            if (rush) lines.push({ key: 'rush', count: 1, usd: Math.round(subtotal.usd * this.extras.rush.rate), robux: Math.round(subtotal.robux * this.extras.rush.rate) });
+
+            const usd = lines.reduce((sum, l) => sum + l.usd, 0);
+            const robux = lines.reduce((sum, l) => sum + l.robux, 0);
+            const robuxWithTax = this.withTax(robux);
+            return { lines, usd, robux, tax: robuxWithTax - robux, robuxWithTax };
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMMISSION AVAILABILITY (served by /api/status; drives the badges and commission CTAs)
+    // ═══════════════════════════════════════════════════════════════
+
+    const Availability = {
+        // { state: 'open' | 'limited' | 'closed', slots, slotsLeft, estimatedStart, nextOpening }
+        status: null,
+        pending: null,
+
+        load() {
+            if (!this.pending) {
+                this.pending = fetch(CONFIG.STATUS_ENDPOINT)
+                    .then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return res.json();
+                    })
+                    .then(data => {
+                        if (!data.ok || !data.data || !data.data.state) throw new Error('Invalid status data');
+                        this.status = data.data;
+                        this.render();
+                    })
+                    .catch(err => console.warn('Status fetch error:', err))
+                    .finally(() => { this.pending = null; });
+            }
+            return this.pending;
         },
 
-        add(review) {
-            const saved = Utils.storage.get(CONFIG.STORAGE_KEYS.REVIEWS, []);
-            saved.push(review);
-            Utils.storage.set(CONFIG.STORAGE_KEYS.REVIEWS, saved);
+        isClosed() {
+            return !!this.status && this.status.state === 'closed';
+        },
+
+        // "2025-10-24" -> "Oct 24" in the current language
+        formatDate(day) {
+            return I18n.formatDate(`${day}T00:00:00Z`, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        },
+
+        /**
+         * Show the status on the header badge, hero badge, clock and commission page;
+         * while closed, commission links are disabled and point to the next opening
+         */
+        render() {
+            const status = this.status;
+            if (!status) return;
+            const closed = status.state === 'closed';
+            const date = this.formatDate(closed ? status.nextOpening : status.estimatedStart);
+            const when = I18n.translate(closed ? 'availability.reopens' : 'availability.nextStart', { date });
+
+            const setLabel = (el, key) => {
+                if (!el) return;
+                el.dataset.i18n = key;
+                el.textContent = I18n.translate(key);
+            };
+            Utils.$$('.commission-status, .hero-badge').forEach(el => { el.dataset.state = status.state; });
+            setLabel(Utils.$('.commission-status [data-i18n]'), `availability.${status.state}`);
+            setLabel(Utils.$('.hero-badge [data-i18n]'), `availability.hero.${status.state}`);
+            const header = Utils.$('.commission-status');
+            if (header) header.title = I18n.translate('availability.slotsLeft', { left: status.slotsLeft, slots: status.slots });
+            TimeDisplay.setNote(when);
+
+            Utils.$$('[data-page^="commission"]').forEach(link => {
+                link.classList.toggle('is-disabled', closed);
+                if (closed) {
+                    link.setAttribute('aria-disabled', 'true');
+                    link.title = when;
+                } else {
+                    link.removeAttribute('aria-disabled');
+                    link.removeAttribute('title');
+                }
+            });
+
+            const notice = Utils.$('#commissionAvailability');
+            if (notice) {
+                notice.hidden = false;
+                notice.dataset.state = status.state;
+                setLabel(notice.querySelector('[data-i18n]'), closed ? 'availability.closedNotice' : 'availability.startNotice');
+                notice.querySelector('.availability-date').textContent = date;
+                const submit = Utils.$('.commission-journey [data-action="submit"]');
+                if (submit) submit.disabled = closed;
+            }
         }
     };
 
@@ -189,171 +483,205 @@
     
     const I18n = {
         currentLang: 'en',
-        
-        translations: {
-            en: {
-                'nav.home': 'Home', 'nav.portfolio': 'Portfolio', 'nav.games': 'Games',
-                'nav.pricing': 'Pricing', 'nav.reviews': 'Reviews', 'nav.policies': 'Policies',
-                'nav.settings': 'Settings',
-                'hero.badge': 'Available for Projects',
-                'hero.title': 'Welcome to my personal<br><span class="gradient-text">Portfolio</span> And Relaxing',
-                'hero.subtitle': 'Professional UI/UX designer specializing in creating immersive, beautiful game interfaces that players love.',
-                'hero.viewPortfolio': 'View Portfolio', 'hero.seePricing': 'See Pricing',
-                'stats.projects': 'Projects Completed', 'stats.clients': 'Happy Clients',
-                'stats.rating': 'Average Rating', 'stats.experience': 'Years Experience',
-                'cta.title': 'Ready to Transform Your Game?',
-                'cta.subtitle': 'Let\'s create something amazing together. Get in touch to discuss your project.',
-                'cta.joinDiscord': 'Join Discord', 'cta.readReviews': 'Read Reviews', 'cta.viewPricing': 'View Pricing',
-                'portfolio.badge': 'My Work', 'portfolio.title': 'Creative <span class="gradient-text">Portfolio</span>',
-                'portfolio.subtitle': 'Explore my collection of UI designs for Roblox games.',
-                'portfolio.likeIt': 'Like What You See?', 'portfolio.commission': 'Commission your own custom UI design today.',
-                'games.badge': 'Live Games', 'games.title': 'Games I Designed <span class="gradient-text">UI For</span>',
-                'games.totalVisits': 'Total visits across these games:', 'games.more': '...and there is more than all that',
-                'games.loading': 'Loading games data from Roblox...', 'games.playNow': 'Play Now', 'games.visits': 'visits',
-                'games.wantFeatured': 'Want Your Game Featured?',
-                'games.commissionText': 'Commission a professional UI design and join successful Roblox games.',
-                'pricing.badge': 'Transparent Pricing', 'pricing.title': 'CHOOSE YOUR <span class="gradient-text">PERFECT PLAN</span>',
-                'pricing.subtitle': 'Tailored packages to match your project\'s scale and style.',
-                'pricing.goWith': 'Go with this plan', 'pricing.whyChoose': 'Why choose me?',
-                'pricing.whySubtitle': 'Reasons to choose my service.', 'pricing.faq': 'Frequently Asked Questions',
-                'pricing.stillQuestions': 'Still have questions? I\'m here to help!',
-                'reviews.badge': 'Client Feedback', 'reviews.title': 'What Clients <span class="gradient-text">Say</span>',
-                'reviews.subtitle': 'Real feedback from real clients.',
-                'reviews.based': 'Based on', 'reviews.reviewsText': 'reviews',
-                'reviews.share': 'Share Your Experience', 'reviews.shareText': 'Worked with me? I\'d love to hear your feedback!',
-                'reviews.submitReview': 'Submit Review',
-                'policies.badge': 'Terms & Policies', 'policies.title': 'My <span class="gradient-text">Policies</span>',
-                'policies.subtitle': 'Clear terms for a smooth collaboration.',
-                'testimonials.title': 'Client Testimonials',
-                'time.zone': 'Alexandria Time', 'commission.status': 'Commission Open',
-                'footer.rights': 'All Rights Reserved', 'footer.by': 'Youssef Design',
-                'settings.title': 'Settings', 'settings.language': 'Language', 'settings.contact': 'Contact',
-                'settings.volume': 'Music Volume', 'settings.animations': 'Animations',
-                'settings.animationsDesc': 'Enable animations & transitions',
-                'settings.quality': 'Enhanced Quality', 'settings.qualityDesc': 'Higher visual quality'
-            },
-            ar: {
-                'nav.home': 'الرئيسية', 'nav.portfolio': 'أعمالي', 'nav.games': 'الألعاب',
-                'nav.pricing': 'الأسعار', 'nav.reviews': 'التقييمات', 'nav.policies': 'السياسات',
-                'nav.settings': 'الإعدادات',
-                'hero.badge': 'متاح للمشاريع',
-                'hero.title': 'مرحباً بك في <br><span class="gradient-text">معرض أعمالي</span> الشخصي',
-                'hero.subtitle': 'مصمم UI/UX محترف متخصص في إنشاء واجهات ألعاب غامرة وجميلة يحبها اللاعبون.',
-                'hero.viewPortfolio': 'عرض الأعمال', 'hero.seePricing': 'عرض الأسعار',
-                'stats.projects': 'مشروع مكتمل', 'stats.clients': 'عميل سعيد',
-                'stats.rating': 'متوسط التقييم', 'stats.experience': 'سنوات الخبرة',
-                'cta.title': 'مستعد لتحويل لعبتك؟',
-                'cta.subtitle': 'لنصنع شيئاً مذهلاً معاً. تواصل معي لمناقشة مشروعك.',
-                'cta.joinDiscord': 'انضم للديسكورد', 'cta.readReviews': 'اقرأ التقييمات', 'cta.viewPricing': 'عرض الأسعار',
-                'portfolio.badge': 'أعمالي', 'portfolio.title': '<span class="gradient-text">معرض</span> الأعمال الإبداعية',
-                'portfolio.subtitle': 'استكشف مجموعتي من تصاميم UI لألعاب Roblox.',
-                'portfolio.likeIt': 'أعجبك ما تراه؟', 'portfolio.commission': 'اطلب تصميم UI مخصص لك اليوم.',
-                'games.badge': 'ألعاب حية', 'games.title': 'ألعاب صممت <span class="gradient-text">واجهاتها</span>',
-                'games.totalVisits': 'إجمالي الزيارات لهذه الألعاب:', 'games.more': '...وهناك المزيد',
-                'games.loading': 'جاري تحميل بيانات الألعاب...', 'games.playNow': 'العب الآن', 'games.visits': 'زيارة',
-                'games.wantFeatured': 'تريد ظهور لعبتك هنا؟',
-                'games.commissionText': 'اطلب تصميم UI احترافي وانضم لألعاب Roblox الناجحة.',
-                'pricing.badge': 'أسعار شفافة', 'pricing.title': 'اختر <span class="gradient-text">خطتك المثالية</span>',
-                'pricing.subtitle': 'باقات مصممة لتناسب حجم وأسلوب مشروعك.',
-                'pricing.goWith': 'اختر هذه الخطة', 'pricing.whyChoose': 'لماذا تختارني؟',
-                'pricing.whySubtitle': 'أسباب لاختيار خدماتي.', 'pricing.faq': 'الأسئلة الشائعة',
-                'pricing.stillQuestions': 'لديك أسئلة أخرى؟ أنا هنا للمساعدة!',
-                'reviews.badge': 'آراء العملاء', 'reviews.title': 'ماذا يقول <span class="gradient-text">العملاء</span>',
-                'reviews.subtitle': 'تقييمات حقيقية من عملاء حقيقيين.',
-                'reviews.based': 'بناءً على', 'reviews.reviewsText': 'تقييم',
-                'reviews.share': 'شارك تجربتك', 'reviews.shareText': 'عملت معي؟ أحب سماع رأيك!',
-                'reviews.submitReview': 'إرسال تقييم',
-                'policies.badge': 'الشروط والسياسات', 'policies.title': '<span class="gradient-text">سياساتي</span>',
-                'policies.subtitle': 'شروط واضحة لتعاون سلس.',
-                'testimonials.title': 'شهادات العملاء',
-                'time.zone': 'توقيت الإسكندرية', 'commission.status': 'الطلبات مفتوحة',
-                'footer.rights': 'جميع الحقوق محفوظة', 'footer.by': 'Youssef Design',
-                'settings.title': 'الإعدادات', 'settings.language': 'اللغة', 'settings.contact': 'تواصل',
-                'settings.volume': 'صوت الموسيقى', 'settings.animations': 'الحركات',
-                'settings.animationsDesc': 'تفعيل الحركات والانتقالات',
-                'settings.quality': 'جودة محسنة', 'settings.qualityDesc': 'جودة بصرية أعلى'
-            },
-            es: {
-                'nav.home': 'Inicio', 'nav.portfolio': 'Portafolio', 'nav.games': 'Juegos',
-                'nav.pricing': 'Precios', 'nav.reviews': 'Reseñas', 'nav.policies': 'Políticas',
-                'nav.settings': 'Ajustes',
-                'hero.badge': 'Disponible para Proyectos',
-                'hero.title': 'Bienvenido a mi <br><span class="gradient-text">Portafolio</span> Personal',
-                'hero.subtitle': 'Diseñador UI/UX profesional especializado en crear interfaces de juegos inmersivas y hermosas.',
-                'hero.viewPortfolio': 'Ver Portafolio', 'hero.seePricing': 'Ver Precios',
-                'stats.projects': 'Proyectos Completados', 'stats.clients': 'Clientes Felices',
-                'stats.rating': 'Calificación Promedio', 'stats.experience': 'Años de Experiencia',
-                'cta.title': '¿Listo para Transformar tu Juego?',
-                'cta.subtitle': 'Creemos algo increíble juntos. Contáctame para discutir tu proyecto.',
-                'cta.joinDiscord': 'Únete a Discord', 'cta.readReviews': 'Leer Reseñas', 'cta.viewPricing': 'Ver Precios',
-                'portfolio.badge': 'Mi Trabajo', 'portfolio.title': '<span class="gradient-text">Portafolio</span> Creativo',
-                'portfolio.subtitle': 'Explora mi colección de diseños UI para juegos de Roblox.',
-                'portfolio.likeIt': '¿Te Gusta lo que Ves?', 'portfolio.commission': 'Encarga tu diseño UI personalizado hoy.',
-                'games.badge': 'Juegos en Vivo', 'games.title': 'Juegos para los que Diseñé <span class="gradient-text">UI</span>',
-                'games.totalVisits': 'Visitas totales en estos juegos:', 'games.more': '...y hay más',
-                'games.loading': 'Cargando datos de juegos...', 'games.playNow': 'Jugar Ahora', 'games.visits': 'visitas',
-                'games.wantFeatured': '¿Quieres que tu Juego Aparezca?',
-                'games.commissionText': 'Encarga un diseño UI profesional y únete a los juegos exitosos de Roblox.',
-                'pricing.badge': 'Precios Transparentes', 'pricing.title': 'ELIGE TU <span class="gradient-text">PLAN PERFECTO</span>',
-                'pricing.subtitle': 'Paquetes adaptados a la escala y estilo de tu proyecto.',
-                'pricing.goWith': 'Elegir este plan', 'pricing.whyChoose': '¿Por qué elegirme?',
-                'pricing.whySubtitle': 'Razones para elegir mi servicio.', 'pricing.faq': 'Preguntas Frecuentes',
-                'pricing.stillQuestions': '¿Aún tienes preguntas? ¡Estoy aquí para ayudar!',
-                'reviews.badge': 'Opiniones de Clientes', 'reviews.title': 'Lo que Dicen los <span class="gradient-text">Clientes</span>',
-                'reviews.subtitle': 'Opiniones reales de clientes reales.',
-                'reviews.based': 'Basado en', 'reviews.reviewsText': 'reseñas',
-                'reviews.share': 'Comparte tu Experiencia', 'reviews.shareText': '¿Trabajaste conmigo? ¡Me encantaría saber tu opinión!',
-                'reviews.submitReview': 'Enviar Reseña',
-                'policies.badge': 'Términos y Políticas', 'policies.title': 'Mis <span class="gradient-text">Políticas</span>',
-                'policies.subtitle': 'Términos claros para una colaboración fluida.',
-                'testimonials.title': 'Testimonios de Clientes',
-                'time.zone': 'Hora de Alejandría', 'commission.status': 'Comisiones Abiertas',
-                'footer.rights': 'Todos los Derechos Reservados', 'footer.by': 'Youssef Design',
-                'settings.title': 'Ajustes', 'settings.language': 'Idioma', 'settings.contact': 'Contacto',
-                'settings.volume': 'Volumen de Música', 'settings.animations': 'Animaciones',
-                'settings.animationsDesc': 'Habilitar animaciones y transiciones',
-                'settings.quality': 'Calidad Mejorada', 'settings.qualityDesc': 'Mayor calidad visual'
+        // Bundles being fetched, so repeated switches share one request
+        pending: {},
+
+        // Loaded locale bundles by language code; see loadLocale()
+        translations: {},
+
+        /**
+         * Load English (the fallback for every other language) and the saved language,
+         * or the browser's preferred one on a first visit
+         */
+        async init() {
+            const saved = Utils.storage.get(CONFIG.STORAGE_KEYS.LANGUAGE, null);
+            await this.loadLocale('en');
+            await this.setLanguage(saved || this.detect(), false);
+        },
+
+        locale(code) {
+            return LOCALES.find(l => l.code === code) || null;
+        },
+
+        // First registered language in navigator.languages, matching e.g. 'es-MX' to 'es'
+        detect() {
+            const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+            for (const tag of preferred) {
+                const code = String(tag || '').toLowerCase().split('-')[0];
+                if (this.locale(code)) return code;
             }
+            return 'en';
         },
 
-        init() {
-            const saved = Utils.storage.get(CONFIG.STORAGE_KEYS.LANGUAGE, 'en');
-            this.setLanguage(saved, false);
+        /**
+         * Fetch data/locales/<code>.json once; resolves to whether the bundle is available
+         */
+        loadLocale(code) {
+            if (this.translations[code]) return Promise.resolve(true);
+            if (!this.pending[code]) {
+                this.pending[code] = fetch(`${CONFIG.LOCALES_PATH}/${code}.json`)
+                    .then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return res.json();
+                    })
+                    .then(table => {
+                        this.translations[code] = table;
+                        return true;
+                    })
+                    .catch(err => {
+                        console.warn(`Locale "${code}" could not be loaded:`, err);
+                        return false;
+                    })
+                    .finally(() => { delete this.pending[code]; });
+            }
+            return this.pending[code];
         },
 
-        setLanguage(lang, save = true) {
+        /**
+         * Switch to a registered language, loading its bundle first; falls back to English
+         * when the language is unknown or its bundle cannot be loaded
+         */
+        async setLanguage(lang, save = true) {
+            if (!this.locale(lang)) lang = 'en';
+
             if (!this.translations[lang]) {
-                lang = 'en';
+                this.setLoading(lang, true);
+                const loaded = await this.loadLocale(lang);
+                this.setLoading(lang, false);
+                if (!loaded) lang = 'en';
             }
-            
+
             this.currentLang = lang;
             document.documentElement.lang = lang;
-            document.documentElement.dir = lang === 'ar' ? 'rtl' : 'ltr';
-            
+            document.documentElement.dir = this.locale(lang).dir;
+
             if (save) {
                 Utils.storage.set(CONFIG.STORAGE_KEYS.LANGUAGE, lang);
             }
-            
+
             this.updateLangButtons();
             this.translatePage();
         },
 
-        translate(key) {
-            return this.translations[this.currentLang]?.[key] 
-                || this.translations.en[key] 
+        // Marks the language buttons busy while a bundle downloads
+        setLoading(lang, loading) {
+            document.documentElement.toggleAttribute('aria-busy', loading);
+            Utils.$$('.lang-btn, .mobile-lang-btn').forEach(btn => {
+                btn.disabled = loading;
+                btn.classList.toggle('loading', loading && btn.dataset.lang === lang);
+            });
+        },
+
+        /**
+         * Translate a key. With params, ICU-style arguments in the message are filled in:
+         *   {name}                  params.name as given
+         *   {count, number}         params.count formatted for the current language
+         *   {count, number, compact}  the same in compact notation (1.5M)
+         *   {count, plural, one {# review} other {# reviews}}
+         *                           a branch picked by Intl.PluralRules (or an exact =0 branch),
+         *                           where # is the formatted count
+         * Counts that are null or not numbers show as '—'.
+         */
+        translate(key, params) {
+            const message = this.translations[this.currentLang]?.[key]
+                || this.translations.en?.[key]
                 || key;
+            return params ? this.format(message, params) : message;
+        },
+
+        format(message, params) {
+            let out = '';
+            let i = 0;
+            while (i < message.length) {
+                const start = message.indexOf('{', i);
+                const end = start < 0 ? -1 : this.closingBrace(message, start);
+                if (end < 0) break;
+                out += message.slice(i, start) + this.formatArgument(message.slice(start + 1, end), params);
+                i = end + 1;
+            }
+            return out + message.slice(i);
+        },
+
+        // Index of the brace closing the one at `start`, or -1
+        closingBrace(text, start) {
+            let depth = 0;
+            for (let i = start; i < text.length; i++) {
+                if (text[i] === '{') depth++;
+                else if (text[i] === '}' && --depth === 0) return i;
+            }
+            return -1;
+        },
+
+        formatArgument(argument, params) {
+            const [, name, type = '', rest = ''] = /^\s*(\w+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/.exec(argument) || [];
+            if (!name || !(name in params)) return `{${argument}}`;
+            const value = params[name];
+            const count = value == null ? NaN : Number(value);
+            const known = Number.isFinite(count);
+
+            if (type === 'number') {
+                return known ? this.formatNumber(count, rest.trim() === 'compact' ? { notation: 'compact', maximumFractionDigits: 1 } : undefined) : '—';
+            }
+            if (type !== 'plural') return String(value);
+
+            // Branches are `selector {text}`; selectors are =N or a plural category
+            const branches = {};
+            let i = 0;
+            while (i < rest.length) {
+                const open = rest.indexOf('{', i);
+                const end = open < 0 ? -1 : this.closingBrace(rest, open);
+                if (end < 0) break;
+                branches[rest.slice(i, open).trim()] = rest.slice(open + 1, end);
+                i = end + 1;
+            }
+            const category = known ? new Intl.PluralRules(this.locale(this.currentLang).intl).select(count) : 'other';
+            const branch = (known ? branches[`=${count}`] : undefined) ?? branches[category] ?? branches.other ?? '';
+            return this.format(branch.replace(/#/g, known ? this.formatNumber(count) : '—'), params);
+        },
+
+        /**
+         * data-i18n attributes for a key with params, so translatePage() can render it again
+         */
+        attrs(key, params) {
+            return `data-i18n="${key}" data-i18n-params='${JSON.stringify(params).replace(/'/g, '&#39;')}'`;
         },
 
         translatePage() {
             Utils.$$('[data-i18n]').forEach(el => {
                 const key = el.getAttribute('data-i18n');
-                const translation = this.translate(key);
-                if (el.tagName === 'INPUT' && el.type !== 'checkbox') {
+                const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined;
+                const translation = this.translate(key, params);
+                if ((el.tagName === 'INPUT' && el.type !== 'checkbox') || el.tagName === 'TEXTAREA') {
                     el.placeholder = translation;
                 } else {
                     el.innerHTML = translation;
                 }
             });
+            Utils.$$('[data-i18n-aria]').forEach(el => el.setAttribute('aria-label', this.translate(el.dataset.i18nAria)));
+        },
+
+        /**
+         * Format a number for the current language; options go to Intl.NumberFormat
+         */
+        formatNumber(n, options) {
+            return new Intl.NumberFormat(this.locale(this.currentLang).intl, options).format(n);
+        },
+
+        /**
+         * formatNumber() split into Intl's { type, value } parts, for markup around the pieces
+         */
+        formatNumberToParts(n, options) {
+            return new Intl.NumberFormat(this.locale(this.currentLang).intl, options).formatToParts(n);
+        },
+
+        /**
+         * Format a date (Date or parseable string) for the current language; options go to
+         * Intl.DateTimeFormat. Returns '' when the date cannot be read.
+         */
+        formatDate(value, options) {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date)) return '';
+            return new Intl.DateTimeFormat(this.locale(this.currentLang).intl, options).format(date);
         },
 
         updateLangButtons() {
@@ -384,7 +712,7 @@
                 second: '2-digit', 
                 hour12: false 
             };
-            const time = now.toLocaleTimeString('en-GB', options);
+            const time = I18n.formatDate(now, options);
             
             const mainEl = Utils.$('#alexandriaTime');
             const mobileEl = Utils.$('#mobileTime');
@@ -393,6 +721,14 @@
             if (mobileEl) mobileEl.textContent = time;
         },
 
+        // Commission availability shown next to the clock, e.g. "Next start Oct 24"
+        setNote(text) {
+            Utils.$$('.availability-note').forEach(el => {
+                el.textContent = text;
+                el.hidden = !text;
+            });
+        },
+
         destroy() {
             if (this.intervalId) {
                 clearInterval(this.intervalId);
@@ -414,8 +750,8 @@
                             <h1 class="hero-title" data-i18n="hero.title">Welcome to my personal<br><span class="gradient-text">Portfolio</span> And Relaxing</h1>
                             <p class="hero-subtitle" data-i18n="hero.subtitle">Professional UI/UX designer specializing in creating immersive, beautiful game interfaces that players love.</p>
                             <div class="hero-buttons">
-                                <a href="#portfolio" class="btn btn-primary" data-page="portfolio"><i class="fas fa-images" aria-hidden="true"></i> <span data-i18n="hero.viewPortfolio">View Portfolio</span></a>
-                                <a href="#pricing" class="btn btn-secondary" data-page="pricing"><i class="fas fa-tags" aria-hidden="true"></i> <span data-i18n="hero.seePricing">See Pricing</span></a>
+                                <a href="/portfolio" class="btn btn-primary" data-page="portfolio"><i class="fas fa-images" aria-hidden="true"></i> <span data-i18n="hero.viewPortfolio">View Portfolio</span></a>
+                                <a href="/pricing" class="btn btn-secondary" data-page="pricing"><i class="fas fa-tags" aria-hidden="true"></i> <span data-i18n="hero.seePricing">See Pricing</span></a>
                             </div>
                         </div>
                     </div>
@@ -442,8 +778,9 @@
                             <h2 data-i18n="cta.title">Ready to Transform Your Game?</h2>
                             <p data-i18n="cta.subtitle">Let's create something amazing together.</p>
                             <div class="cta-buttons">
-                                <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" class="btn btn-primary"><i class="fab fa-discord" aria-hidden="true"></i> <span data-i18n="cta.joinDiscord">Join Discord</span></a>
-                                <a href="#reviews" class="btn btn-secondary" data-page="reviews"><i class="fas fa-star" aria-hidden="true"></i> <span data-i18n="cta.readReviews">Read Reviews</span></a>
+                                <a href="/commission" class="btn btn-primary" data-page="commission"><i class="fas fa-paint-brush" aria-hidden="true"></i> <span data-i18n="cta.startProject">Start a Project</span></a>
+                                <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" class="btn btn-secondary"><i class="fab fa-discord" aria-hidden="true"></i> <span data-i18n="cta.joinDiscord">Join Discord</span></a>
+                                <a href="/reviews" class="btn btn-secondary" data-page="reviews"><i class="fas fa-star" aria-hidden="true"></i> <span data-i18n="cta.readReviews">Read Reviews</span></a>
                             </div>
                         </div>
                     </div>
@@ -459,7 +796,8 @@
                 </article>`).join('');
         },
 
-        portfolio() {
+        portfolio(params = new URLSearchParams(), slug = '') {
+            if (slug) return this.project(slug);
             return `
                 <header class="page-header">
                     <div class="container">
@@ -470,45 +808,126 @@
                 </header>
                 <section class="portfolio-section">
                     <div class="container">
-                        <div class="portfolio-grid" id="portfolioGrid">
-                            ${[1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18].map(i => `
-                                <article class="portfolio-item glass-card" data-lightbox="images/work${i}.png" data-fallback="images/work${i}.jpg" data-title="Project ${i}">
-                                    <img 
-                                        src="images/work${i}.png" 
-                                        data-fallback="images/work${i}.jpg"
-                                        alt="Portfolio work ${i}" 
-                                        loading="lazy" 
-                                        width="400" 
-                                        height="300"
-                                    >
-                                    <div class="portfolio-overlay">
-                                        <div class="overlay-content">
-                                            <span class="zoom-icon"><i class="fas fa-search-plus"></i></span>
-                                            <h3>Project ${i}</h3>
-                                        </div>
-                                    </div>
-                                </article>`).join('')}
+                        <div class="games-toolbar portfolio-toolbar" role="search">
+                            <div class="input-wrap games-search"><i class="fas fa-search" aria-hidden="true"></i><input type="search" id="portfolioSearch" value="${Utils.escapeHtml(params.get('q') || '')}" placeholder="Search designs..." data-i18n="portfolio.search" maxlength="60" aria-label="Search designs"></div>
+                            <div class="reviews-filters portfolio-filters" id="portfolioFilters" role="group" aria-label="Filter designs"></div>
+                        </div>
+                        <div class="portfolio-grid" id="portfolioGrid" aria-live="polite">
+                            ${PortfolioData.loaded
+                                ? PortfolioData.items.map(item => this.renderPortfolioItem(item)).join('')
+                                : '<div class="loading-games"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i><p data-i18n="portfolio.loading">Loading portfolio...</p></div>'}
                         </div>
                         <div class="cta-card glass-card" style="margin-top:40px;text-align:center;padding:40px">
                             <h3 data-i18n="portfolio.likeIt">Like What You See?</h3>
                             <p data-i18n="portfolio.commission">Commission your own custom UI design today.</p>
-                            <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" class="btn btn-primary"><i class="fab fa-discord" aria-hidden="true"></i> <span data-i18n="cta.joinDiscord">Join Discord</span></a>
+                            <a href="/commission" class="btn btn-primary" data-page="commission"><i class="fas fa-paint-brush" aria-hidden="true"></i> <span data-i18n="cta.startProject">Start a Project</span></a>
                         </div>
                     </div>
                 </section>`;
         },
 
-        games() {
+        /**
+         * <picture> with AVIF/WebP variants and a blurred placeholder when the image
+         * manifest knows `src`, otherwise a plain <img>
+         */
+        picture(src, { alt = '', sizes = '100vw', lazy = true, attrs = '' } = {}) {
+            const info = PortfolioData.variants(src);
+            const srcset = list => list.map(v => `${Utils.escapeHtml(v.src)} ${v.width}w`).join(', ');
+            const size = info ? `width="${info.width}" height="${info.height}"` : 'width="400" height="300"';
+            const placeholder = info && info.lqip ? ` style="background-image:url('${info.lqip}')"` : '';
+            const img = `<img src="${Utils.escapeHtml(src)}" alt="${Utils.escapeHtml(alt)}"${lazy ? ' loading="lazy" decoding="async"' : ''} ${size}${placeholder} ${attrs}>`;
+            if (!info || !info.sources) return img;
+
+            return `<picture>${['avif', 'webp'].filter(type => info.sources[type] && info.sources[type].length)
+                .map(type => `<source type="image/${type}" srcset="${srcset(info.sources[type])}" sizes="${sizes}">`).join('')}${img}</picture>`;
+        },
+
+        project(slug) {
+            const item = PortfolioData.loaded ? PortfolioData.get(slug) : null;
+            return `
+                <section class="project-section">
+                    <div class="container" id="projectDetail" aria-live="polite">
+                        ${item ? this.renderProject(item) : '<div class="loading-games"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i><p data-i18n="portfolio.loading">Loading portfolio...</p></div>'}
+                    </div>
+                </section>`;
+        },
+
+        renderProject(item) {
+            const categoryKey = `portfolio.cat.${item.category}`;
+            const meta = [
+                item.client ? `<span><i class="fas fa-user-tie" aria-hidden="true"></i> ${Utils.escapeHtml(item.client)}</span>` : '',
+                item.date ? `<span><i class="fas fa-calendar" aria-hidden="true"></i> ${Utils.escapeHtml(item.date)}</span>` : '',
+                `<span><i class="fas fa-images" aria-hidden="true"></i> <span ${I18n.attrs('portfolio.frameCount', { count: item.images.length })}>${I18n.translate('portfolio.frameCount', { count: item.images.length })}</span></span>`
+            ].join('');
+
+            return `
+                <a href="/portfolio" class="project-back" data-page="portfolio"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="portfolio.back">${I18n.translate('portfolio.back')}</span></a>
+                <header class="page-header project-header">
+                    <div class="page-badge"><span class="portfolio-category" data-i18n="${categoryKey}">${I18n.translate(categoryKey)}</span></div>
+                    <h1 class="page-title">${Utils.escapeHtml(item.title)}</h1>
+                    <p class="page-subtitle">${Utils.escapeHtml(item.description || '')}</p>
+                    <div class="project-meta">${meta}</div>
+                    ${item.tags && item.tags.length ? `<ul class="portfolio-tags">${item.tags.map(tag => `<li><a href="/portfolio?tag=${encodeURIComponent(tag)}" data-page="portfolio?tag=${Utils.escapeHtml(encodeURIComponent(tag))}">${Utils.escapeHtml(tag)}</a></li>`).join('')}</ul>` : ''}
+                </header>
+                ${item.brief ? `
+                <div class="project-brief glass-card">
+                    <h2 data-i18n="portfolio.brief">${I18n.translate('portfolio.brief')}</h2>
+                    <p>${Utils.escapeHtml(item.brief)}</p>
+                </div>` : ''}
+                <div class="portfolio-grid project-frames">
+                    ${item.images.map((image, i) => `
+                        <figure class="portfolio-item glass-card" data-lightbox="${Utils.escapeHtml(image.src)}" data-title="${Utils.escapeHtml(item.title)}">
+                            ${this.picture(image.src, { alt: image.alt || item.title, sizes: this.PORTFOLIO_SIZES })}
+                            ${image.caption ? `<figcaption>${Utils.escapeHtml(image.caption)}</figcaption>` : ''}
+                        </figure>`).join('')}
+                </div>
+                <div class="cta-card glass-card project-cta">
+                    <a href="/commission" class="btn btn-primary" data-page="commission"><i class="fas fa-paint-brush" aria-hidden="true"></i> <span data-i18n="portfolio.orderSimilar">${I18n.translate('portfolio.orderSimilar')}</span></a>
+                </div>`;
+        },
+
+        // Matches the .portfolio-grid column breakpoints
+        PORTFOLIO_SIZES: '(max-width: 600px) 100vw, (max-width: 900px) 50vw, 33vw',
+
+        renderPortfolioItem(item) {
+            const cover = item.images[0];
+            const title = Utils.escapeHtml(item.title);
+            const categoryKey = `portfolio.cat.${item.category}`;
+            return `
+                <article class="portfolio-item glass-card" data-slug="${Utils.escapeHtml(item.slug)}" data-category="${Utils.escapeHtml(item.category)}" data-lightbox="${Utils.escapeHtml(cover.src)}" data-title="${title}">
+                    ${this.picture(cover.src, { alt: cover.alt || item.title, sizes: this.PORTFOLIO_SIZES })}
+                    ${item.images.length > 1 ? `<span class="portfolio-count"><i class="fas fa-images" aria-hidden="true"></i> ${item.images.length}</span>` : ''}
+                    <div class="portfolio-overlay">
+                        <div class="overlay-content">
+                            <span class="zoom-icon"><i class="fas fa-search-plus" aria-hidden="true"></i></span>
+                            <span class="portfolio-category" data-i18n="${categoryKey}">${I18n.translate(categoryKey)}</span>
+                            <h3>${title}</h3>
+                            <p class="portfolio-desc">${Utils.escapeHtml(item.description || '')}</p>
+                            ${item.tags && item.tags.length ? `<ul class="portfolio-tags">${item.tags.map(tag => `<li>${Utils.escapeHtml(tag)}</li>`).join('')}</ul>` : ''}
+                            <a href="/portfolio/${Utils.escapeHtml(item.slug)}" class="btn btn-secondary btn-sm" data-page="portfolio/${Utils.escapeHtml(item.slug)}"><span data-i18n="portfolio.viewProject">${I18n.translate('portfolio.viewProject')}</span> <i class="fas fa-arrow-right" aria-hidden="true"></i></a>
+                        </div>
+                    </div>
+                </article>`;
+        },
+
+        games(params = new URLSearchParams()) {
+            const sort = params.get('sort') || '';
+            const sorts = [['', 'games.sortFeatured', 'Featured'], ['visits', 'games.sortVisits', 'Most Visits'], ['playing', 'games.sortPlaying', 'Most Active'], ['newest', 'games.sortNewest', 'Newest'], ['name', 'games.sortName', 'Name']];
             return `
                 <header class="page-header">
                     <div class="container">
                         <div class="page-badge"><i class="fas fa-gamepad" aria-hidden="true"></i> <span data-i18n="games.badge">Live Games</span></div>
                         <h1 class="page-title" data-i18n="games.title">Games I Designed <span class="gradient-text">UI For</span></h1>
                         <p class="page-subtitle"><span data-i18n="games.totalVisits">Total visits across these games:</span> <strong id="totalVisitsCount">—</strong></p>
+                        <p class="games-online" id="gamesOnline" hidden><span class="status-dot" aria-hidden="true"></span> <span id="totalPlayingText"></span></p>
                     </div>
                 </header>
                 <section class="games-section">
                     <div class="container">
+                        <div class="games-toolbar" role="search">
+                            <div class="input-wrap games-search"><i class="fas fa-search" aria-hidden="true"></i><input type="search" id="gamesSearch" value="${Utils.escapeHtml(params.get('q') || '')}" placeholder="Search games..." data-i18n="games.search" maxlength="60" aria-label="Search games"></div>
+                            <div class="reviews-filters games-sort" role="group" aria-label="Sort games">${sorts.map(([value, key, label]) => `<button type="button" class="filter-btn${value === sort ? ' active' : ''}" data-sort="${value}" data-i18n="${key}">${label}</button>`).join('')}</div>
+                        </div>
                         <div class="games-grid" id="gamesGrid" aria-live="polite">
                             <div class="loading-games"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i><p data-i18n="games.loading">Loading games data...</p></div>
                         </div>
@@ -516,7 +935,7 @@
                         <div class="cta-card glass-card" style="margin-top:40px;text-align:center;padding:40px">
                             <h3 data-i18n="games.wantFeatured">Want Your Game Featured?</h3>
                             <p data-i18n="games.commissionText">Commission a professional UI design and join successful Roblox games.</p>
-                            <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" class="btn btn-primary"><i class="fab fa-discord" aria-hidden="true"></i> <span data-i18n="cta.joinDiscord">Join Discord</span></a>
+                            <a href="/commission" class="btn btn-primary" data-page="commission"><i class="fas fa-paint-brush" aria-hidden="true"></i> <span data-i18n="cta.startProject">Start a Project</span></a>
                         </div>
                     </div>
                 </section>`;
@@ -534,19 +953,17 @@
                 <section class="pricing-section">
                     <div class="container">
                         <div class="pricing-grid pricing-4">
-                            ${this.renderPricingCards()}
+                            ${PricingData.loaded ? this.renderPricingCards() : this.renderPricingStatus()}
                         </div>
                     </div>
                 </section>
+                ${PricingData.loaded ? this.renderCalculator() : ''}
                 <section class="why-choose-section">
                     <div class="container">
                         <h2 class="section-title" data-i18n="pricing.whyChoose">Why choose me?</h2>
                         <p class="section-subtitle" data-i18n="pricing.whySubtitle">Reasons to choose my service.</p>
                         <div class="why-choose-grid">
-                            <article class="why-card glass-card"><div class="why-icon"><i class="fas fa-redo" aria-hidden="true"></i></div><div><h4>Free Revisions</h4><p>Up to 5 free revisions until you are 100% satisfied</p></div></article>
-                            <article class="why-card glass-card"><div class="why-icon"><i class="fas fa-comments" aria-hidden="true"></i></div><div><h4>Clear Communication</h4><p>I always keep you informed every step of the way</p></div></article>
-                            <article class="why-card glass-card"><div class="why-icon"><i class="fas fa-clock" aria-hidden="true"></i></div><div><h4>Full-Time Designer</h4><p>As a full-time designer, you'll get frequent communication & instant updates</p></div></article>
-                            <article class="why-card glass-card"><div class="why-icon"><i class="fas fa-shield-alt" aria-hidden="true"></i></div><div><h4>Money Back Guarantee</h4><p>MONEY back guarantee if not satisfied</p></div></article>
+                            ${[['redo', 'revisions'], ['comments', 'communication'], ['clock', 'fullTime'], ['shield-alt', 'guarantee']].map(([icon, key]) => `<article class="why-card glass-card"><div class="why-icon"><i class="fas fa-${icon}" aria-hidden="true"></i></div><div><h4 data-i18n="why.${key}.title"></h4><p data-i18n="why.${key}.text"></p></div></article>`).join('')}
                         </div>
                     </div>
                 </section>
@@ -559,83 +976,84 @@
                 </section>`;
         },
 
+        // Spinner while /api/pricing loads, or an error once it has failed
+        renderPricingStatus() {
+            return PricingData.failed
+                ? '<div class="error-message glass-card" style="text-align:center;padding:40px;grid-column:1/-1"><i class="fas fa-exclamation-triangle" aria-hidden="true"></i><p data-i18n="pricing.error">Pricing could not be loaded. Please refresh the page.</p></div>'
+                : '<div class="loading-games" style="grid-column:1/-1"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i><p data-i18n="pricing.loading">Loading pricing...</p></div>';
+        },
+
         renderPricingCards() {
-            const plans = [
-                { 
-                    icon: 'fas fa-rocket', 
-                    name: 'Basic Pack', 
-                    desc: 'PerTask', 
-                    price: 15, 
-                    robux: '4K + Tax Robux', 
-                    subtitle: 'Best for small UI tasks / mini features',
-                    features: ['5 Revisions', 'No PSD Files', 'No Import included'] 
-                },
-                { 
-                    icon: 'fas fa-crown', 
-                    name: 'Full Game UI', 
-                    desc: 'Any Style', 
-                    price: 260, 
-                    robux: '75K + Tax Robux', 
-                    subtitle: 'Full game coverage / premium polish',
-                    features: ['Import included', '35 Revisions', 'PSD Files Included', 'Full UI Folders + Unlimited Revisions'],
-                    note: 'Includes 4 free custom UIs you can use however you want. After those 4, each new UI request is $25.',
-                    featured: true 
-                },
-                { 
-                    icon: 'fas fa-gem', 
-                    name: 'Medium Pack', 
-                    desc: 'PerTask', 
-                    price: 25, 
-                    robux: '7K + Tax Robux', 
-                    subtitle: 'Great for high-appeal themed UIs',
-                    features: ['Import included', '10 Revisions', 'No PSD Files'] 
-                },
-                { 
-                    icon: 'fas fa-upload', 
-                    name: 'Import per frame', 
-                    desc: 'to Studio', 
-                    price: 5, 
-                    robux: 'per frame', 
-                    subtitle: 'For importing any UI design (except Anime/Horror) to Roblox Studio',
-                    features: ['Full optimization for all devices'] 
-                }
-            ];
-            return plans.map(p => `
+            const { customUi } = PricingData.extras;
+            const notes = { full: I18n.translate('pricing.plan.full.note', { free: customUi.free, price: PricingData.formatUsd(customUi.usd) }) };
+            // The symbol keeps its own span, on whichever side of the number the language puts it
+            const price = (usd) => {
+                const parts = I18n.formatNumberToParts(usd, PricingData.USD_FORMAT);
+                const amount = parts.filter(part => part.type !== 'currency' && part.type !== 'literal').map(part => part.value).join('');
+                const symbol = parts.find(part => part.type === 'currency').value;
+                const symbolFirst = parts.findIndex(part => part.type === 'currency') < parts.findIndex(part => part.type === 'integer');
+                const pieces = [`<span class="currency">${symbol}</span>`, `<span class="amount">${amount}</span>`];
+                return symbolFirst ? pieces.join('') : pieces.reverse().join(' ');
+            };
+            return PricingData.plans.map(p => `
                 <article class="pricing-card glass-card${p.featured ? ' featured' : ''}">
-                    ${p.featured ? '<div class="pricing-badge">مميز</div>' : ''}
+                    ${p.featured ? '<div class="pricing-badge" data-i18n="pricing.featured">Featured</div>' : ''}
                     <div class="pricing-icon"><i class="${p.icon}" aria-hidden="true"></i></div>
-                    <h3 class="pricing-name">${p.name}</h3>
-                    <p class="pricing-desc">${p.desc}</p>
-                    <div class="pricing-price"><span class="currency">$</span><span class="amount">${p.price}</span></div>
-                    <p class="pricing-robux"><i class="fas fa-coins" aria-hidden="true"></i> ${p.robux}</p>
-                    <p class="pricing-subtitle">${p.subtitle}</p>
-                    <ul class="pricing-features">${p.features.map(f => `<li><i class="fas fa-check" aria-hidden="true"></i> ${f}</li>`).join('')}</ul>
-                    ${p.note ? `<p class="pricing-note">${p.note}</p>` : ''}
-                    <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" class="btn btn-primary btn-full"><i class="fas fa-rocket" aria-hidden="true"></i> <span data-i18n="pricing.goWith">Go with this plan</span></a>
+                    <h3 class="pricing-name" data-i18n="pricing.plan.${p.id}.name"></h3>
+                    <p class="pricing-desc" data-i18n="pricing.plan.${p.id}.desc"></p>
+                    <div class="pricing-price">${price(p.usd)}</div>
+                    ${PricingData.local ? `<p class="pricing-local">${PricingData.formatLocal(p.usd)}</p>` : ''}
+                    <p class="pricing-robux"><i class="fas fa-coins" aria-hidden="true"></i> ${PricingData.formatRobux(p.robux)} <span data-i18n="pricing.robuxTax">+ Tax Robux</span>${p.unit === 'frame' ? ` / <span data-i18n="pricing.perFrame">per frame</span>` : ''}</p>
+                    <p class="pricing-subtitle" data-i18n="pricing.plan.${p.id}.subtitle"></p>
+                    <ul class="pricing-features">${p.features.map(f => `<li><i class="fas fa-${f.startsWith('no') ? 'times' : 'check'}" aria-hidden="true"></i> <span data-i18n="pricing.feature.${f}"></span></li>`).join('')}</ul>
+                    ${notes[p.id] ? `<p class="pricing-note">${notes[p.id]}</p>` : ''}
+                    <a href="/commission?plan=${p.id}" data-page="commission?plan=${p.id}" class="btn btn-primary btn-full"><i class="fas fa-rocket" aria-hidden="true"></i> <span data-i18n="pricing.goWith">Go with this plan</span></a>
                 </article>`).join('');
         },
 
+        renderCalculator() {
+            const check = (id, key) => `<label class="check-row"><input type="checkbox" id="${id}"> <span data-i18n="${key}"></span></label>`;
+            return `
+                <section class="calculator-section" id="calculator">
+                    <div class="container">
+                        <h2 class="section-title" data-i18n="calc.title">Price Calculator</h2>
+                        <p class="section-subtitle" data-i18n="calc.subtitle">Get an instant estimate for your project.</p>
+                        <div class="calculator glass-card">
+                            <div class="calc-form">
+                                <div class="form-group"><label for="calcPlan" data-i18n="calc.plan">Plan</label><div class="input-wrap"><i class="fas fa-layer-group" aria-hidden="true"></i><select id="calcPlan">${PricingData.plans.map(p => `<option value="${p.id}" data-i18n="pricing.plan.${p.id}.name"></option>`).join('')}</select></div></div>
+                                <div class="form-group"><label for="calcFrames" id="calcFramesLabel" data-i18n="calc.frames">Frames</label><div class="input-wrap"><i class="fas fa-clone" aria-hidden="true"></i><input type="number" id="calcFrames" min="1" max="200" step="1" value="1" inputmode="numeric"></div><span class="input-hint" id="calcFramesHint"></span></div>
+                                <div class="form-group"><label for="calcHuds" data-i18n="calc.huds">HUD designs</label><div class="input-wrap"><i class="fas fa-heart" aria-hidden="true"></i><input type="number" id="calcHuds" min="0" max="50" step="1" value="0" inputmode="numeric"></div><span class="input-hint"><span data-i18n="calc.included">Included free</span>: ${I18n.formatNumber(PricingData.extras.hud.free)}</span></div>
+                                ${check('calcImport', 'calc.importOption')}
+                                ${check('calcPsd', 'calc.psdOption')}
+                                ${check('calcRush', 'calc.rushOption')}
+                            </div>
+                            <div class="calc-receipt" aria-live="polite">
+                                <ul class="calc-lines" id="calcLines"></ul>
+                                <div class="calc-total"><span data-i18n="calc.total">Total</span><strong id="calcTotalUsd"></strong></div>
+                                ${PricingData.local ? '<p class="pricing-local calc-local" id="calcTotalLocal"></p>' : ''}
+                                <dl class="calc-robux">
+                                    <div><dt data-i18n="calc.robux">Robux price</dt><dd id="calcRobux"></dd></div>
+                                    <div><dt><span data-i18n="calc.tax">Marketplace tax</span> (${Math.round(PricingData.marketplaceTax * 100)}%)</dt><dd id="calcTax"></dd></div>
+                                    <div class="calc-robux-total"><dt data-i18n="calc.robuxTotal">Robux to send</dt><dd id="calcRobuxTotal"></dd></div>
+                                </dl>
+                                <p class="calc-note" data-i18n="calc.note">This is an estimate; the final quote follows your brief.</p>
+                                <a href="/commission" data-page="commission" class="btn btn-primary btn-full" id="calcOrder"><i class="fas fa-paper-plane" aria-hidden="true"></i> <span data-i18n="calc.order">Request this quote</span></a>
+                            </div>
+                        </div>
+                    </div>
+                </section>`;
+        },
+
         renderFAQ() {
-            const faqs = [
-                { q: 'How long does it take to complete a UI design?', a: 'The delivery time depends on the complexity and number of frames. On average, a single frame takes 1–3 days.' },
-                { q: 'Do you provide revisions?', a: 'Yes, I offer up to 5 free revisions for every project.' },
-                { q: 'Can you import the designs directly into Roblox Studio?', a: 'Yes, importing is one of my services. I ensure all designs are scaled and optimized for every device.' },
-                { q: 'What payment methods do you accept?', a: 'I accept PayPal and Robux. Robux prices already include Roblox tax.' },
-                { q: 'What do I receive once the work is completed?', a: 'You\'ll receive organized PNGs or a direct import to your Roblox project, as you prefer.' },
-                { q: 'Do you offer refunds?', a: 'Yes, I provide a money-back guarantee if you are not satisfied with the results.' },
-                { q: 'Do you work full-time?', a: 'Yes, I\'m a full-time UI/UX artist with daily availability for updates and communication.' },
-                { q: 'Can you take rush orders / tight deadlines?', a: 'Rush projects are possible depending on the scope and current queue. Message me to confirm availability.' }
-            ];
-            return faqs.map((f, i) => `
+            const faqs = ['time', 'revisions', 'import', 'payment', 'delivery', 'refunds', 'fullTime', 'rush'];
+            return faqs.map((key, i) => `
                 <article class="faq-item glass-card" data-faq="${i}">
-                    <button class="faq-question" aria-expanded="false" aria-controls="faq-answer-${i}"><span>${f.q}</span><i class="fas fa-chevron-down" aria-hidden="true"></i></button>
-                    <div class="faq-answer" id="faq-answer-${i}" hidden><p>${f.a}</p></div>
+                    <button class="faq-question" aria-expanded="false" aria-controls="faq-answer-${i}"><span data-i18n="faq.${key}.q"></span><i class="fas fa-chevron-down" aria-hidden="true"></i></button>
+                    <div class="faq-answer" id="faq-answer-${i}" hidden><p data-i18n="faq.${key}.a"></p></div>
                 </article>`).join('');
         },
 
         reviews() {
-            const reviews = ReviewsData.getAll();
-            const avg = (reviews.reduce((s, r) => s + r.rating, 0) / reviews.length).toFixed(1);
             return `
                 <header class="page-header">
                     <div class="container">
@@ -646,55 +1064,64 @@
                 </header>
                 <section class="reviews-section">
                     <div class="container">
-                        <div class="reviews-summary glass-card">
-                            <div class="summary-rating"><div class="big-rating">${avg}</div><div class="rating-stars">${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(5)}</div><p class="rating-count"><span data-i18n="reviews.based">Based on</span> ${reviews.length} <span data-i18n="reviews.reviewsText">reviews</span></p></div>
-                            <div class="rating-breakdown">${[5,4,3,2,1].map(n => { const count = reviews.filter(r => r.rating === n).length; const pct = Math.round((count / reviews.length) * 100); return `<div class="breakdown-row"><span>${n} <i class="fas fa-star" aria-hidden="true"></i></span><div class="breakdown-bar"><div class="breakdown-fill" style="width:${pct}%"></div></div><span>${count}</span></div>`; }).join('')}</div>
-                        </div>
-                        <div class="reviews-filters" role="group" aria-label="Filter reviews"><button type="button" class="filter-btn active" data-rating="all">All</button>${[5,4,3,2,1].map(n => `<button type="button" class="filter-btn" data-rating="${n}">${n} Stars</button>`).join('')}</div>
+                        <div class="reviews-summary glass-card" id="reviewsSummary">${this.renderReviewsSummary(ReviewsData.getAll())}</div>
+                        <div class="reviews-filters" role="group" aria-label="Filter reviews"><button type="button" class="filter-btn active" data-rating="all" data-i18n="reviews.all">All</button>${[5,4,3,2,1].map(n => `<button type="button" class="filter-btn" data-rating="${n}" ${I18n.attrs('reviews.starsCount', { count: n })}>${I18n.translate('reviews.starsCount', { count: n })}</button>`).join('')}</div>
                         <div class="reviews-grid" id="reviewsGrid" aria-live="polite"></div>
-                        <div class="submit-cta glass-card"><div class="cta-icon"><i class="fas fa-pen" aria-hidden="true"></i></div><div class="cta-text"><h3 data-i18n="reviews.share">Share Your Experience</h3><p data-i18n="reviews.shareText">Worked with me? I'd love to hear your feedback!</p></div><a href="#submit-review" class="btn btn-primary" data-page="submit-review"><i class="fas fa-paper-plane" aria-hidden="true"></i> <span data-i18n="reviews.submitReview">Submit Review</span></a></div>
+                        <div class="submit-cta glass-card"><div class="cta-icon"><i class="fas fa-pen" aria-hidden="true"></i></div><div class="cta-text"><h3 data-i18n="reviews.share">Share Your Experience</h3><p data-i18n="reviews.shareText">Worked with me? I'd love to hear your feedback!</p></div><a href="/submit-review" class="btn btn-primary" data-page="submit-review"><i class="fas fa-paper-plane" aria-hidden="true"></i> <span data-i18n="reviews.submitReview">Submit Review</span></a></div>
                     </div>
                 </section>`;
         },
 
+        renderReviewsSummary(reviews) {
+            const avg = I18n.formatNumber(reviews.reduce((s, r) => s + r.rating, 0) / reviews.length, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+            return `
+                <div class="summary-rating"><div class="big-rating">${avg}</div><div class="rating-stars">${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(5)}</div><p class="rating-count" ${I18n.attrs('reviews.basedOn', { count: reviews.length })}>${I18n.translate('reviews.basedOn', { count: reviews.length })}</p></div>
+                <div class="rating-breakdown">${[5,4,3,2,1].map(n => { const count = reviews.filter(r => r.rating === n).length; const pct = Math.round((count / reviews.length) * 100); return `<div class="breakdown-row"><span>${n} <i class="fas fa-star" aria-hidden="true"></i></span><div class="breakdown-bar"><div class="breakdown-fill" style="width:${pct}%"></div></div><span>${I18n.formatNumber(count)}</span></div>`; }).join('')}</div>`;
+        },
+
         policies() {
+            const terms = [['code', 'noScripting'], ['file-export', 'delivery'], ['ban', 'noResell'], ['undo', 'refunds']];
             return `
                 <header class="page-header">
                     <div class="container">
                         <div class="page-badge"><i class="fas fa-shield-alt" aria-hidden="true"></i> <span data-i18n="policies.badge">Terms & Policies</span></div>
-                        <h1 class="page-title">TERMS OF <span class="gradient-text">SERVICE</span></h1>
-                        <p class="page-subtitle">Rules & Collaboration</p>
+                        <h1 class="page-title" data-i18n="policies.title">TERMS OF <span class="gradient-text">SERVICE</span></h1>
+                        <p class="page-subtitle" data-i18n="policies.subtitle">Rules & Collaboration</p>
                     </div>
                 </header>
                 <section class="policies-section">
                     <div class="container">
                         <div class="terms-grid">
-                            <article class="term-card glass-card"><div class="term-icon"><i class="fas fa-code" aria-hidden="true"></i></div><h3>I don't Script UIs</h3><p>Focus is on professional UI/UX design and import. Scripting or gameplay logic is not part of the service.</p></article>
-                            <article class="term-card glass-card"><div class="term-icon"><i class="fas fa-file-export" aria-hidden="true"></i></div><h3>Delivery Format</h3><p>The UI is delivered as an .rbxl or .rbxm file only. Assets are organized, named clearly and scaled to work across devices for smooth import.</p></article>
-                            <article class="term-card glass-card"><div class="term-icon"><i class="fas fa-ban" aria-hidden="true"></i></div><h3>No Resell Without Permission</h3><p>You don't have the right to resell UIs made by me without my permission. Personal & project use only.</p></article>
-                            <article class="term-card glass-card"><div class="term-icon"><i class="fas fa-undo" aria-hidden="true"></i></div><h3>Refund Policy</h3><p>If you cancel the order, refunds aren't available. If I cancel the order, you'll be fully refunded for any Robux you paid.</p></article>
+                            ${terms.map(([icon, key]) => `<article class="term-card glass-card"><div class="term-icon"><i class="fas fa-${icon}" aria-hidden="true"></i></div><h3 data-i18n="policies.${key}.title"></h3><p data-i18n="policies.${key}.text"></p></article>`).join('')}
                         </div>
+                        ${PricingData.loaded ? `
                         <div class="terms-extra glass-card">
-                            <p><strong>Additional HUD/Frame Designs:</strong> If you ask me to create any new HUD or frame designs, I will make up to 2 new HUD designs for free. If your request needs more than 2 HUD designs, I will charge $5 or 2.5k + tax Robux for each extra HUD design. For new frame designs, I will charge $15 for every new frame design you request, and there are no free frame designs included.</p>
-                        </div>
-                        <p class="policies-footer">Questions? <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer">Contact me on Discord</a></p>
+                            <p><strong data-i18n="policies.extraTitle">Additional HUD/Frame Designs:</strong> ${this.renderExtraDesignsTerms()}</p>
+                        </div>` : ''}
+                        <p class="policies-footer"><span data-i18n="policies.questions">Questions?</span> <a href="https://discord.com/users/1077620522680057856" target="_blank" rel="noopener noreferrer" data-i18n="policies.contact">Contact me on Discord</a></p>
                     </div>
                 </section>`;
         },
 
+        // The extra HUD/frame design terms, with the current prices filled in
+        renderExtraDesignsTerms() {
+            const { hud, frameDesign } = PricingData.extras;
+            return I18n.translate('policies.extraText', { free: hud.free, hudPrice: PricingData.formatUsd(hud.usd), hudRobux: PricingData.formatRobux(hud.robux), framePrice: PricingData.formatUsd(frameDesign.usd) });
+        },
+
         'submit-review'() {
             return `
                 <header class="page-header">
                     <div class="container">
-                        <div class="page-badge"><i class="fas fa-pen" aria-hidden="true"></i> Submit Review</div>
-                        <h1 class="page-title">Share Your <span class="gradient-text">Experience</span></h1>
-                        <p class="page-subtitle">Your feedback helps others make informed decisions.</p>
+                        <div class="page-badge"><i class="fas fa-pen" aria-hidden="true"></i> <span data-i18n="review.badge">Submit Review</span></div>
+                        <h1 class="page-title" data-i18n="review.title">Share Your <span class="gradient-text">Experience</span></h1>
+                        <p class="page-subtitle" data-i18n="review.subtitle">Your feedback helps others make informed decisions.</p>
                     </div>
                 </header>
                 <section class="review-form-section">
                     <div class="container">
                         <div class="review-journey glass-card">
-                            <div class="journey-progress">${[1,2,3,4,5,6].map(n => `<div class="progress-step${n===1?' active':''}" data-step="${n}"><div class="step-icon"><i class="fas fa-${['user','folder','star','comment','check','trophy'][n-1]}" aria-hidden="true"></i></div><span>${['Name','Project','Rating','Review','Preview','Done'][n-1]}</span></div>`).join('')}</div>
+                            <div class="journey-progress">${[1,2,3,4,5,6,7].map(n => `<div class="progress-step${n===1?' active':''}" data-step="${n}"><div class="step-icon"><i class="fas fa-${['user','folder','receipt','star','comment','check','trophy'][n-1]}" aria-hidden="true"></i></div><span data-i18n="review.step${['Name','Project','Verify','Rating','Review','Preview','Done'][n-1]}"></span></div>`).join('')}</div>
                             ${this.renderReviewSteps()}
                         </div>
                     </div>
@@ -702,39 +1129,236 @@
         },
 
         renderReviewSteps() {
+            const back = '<button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="review.back">Back</span></button>';
+            const next = (key = 'review.continue') => `<button type="button" class="btn btn-primary" data-action="next"><span data-i18n="${key}"></span> <i class="fas fa-arrow-right" aria-hidden="true"></i></button>`;
             return `
-                <div class="journey-step active" data-step="1"><div class="step-number">01</div><h2>What's your name?</h2><p>How should we identify you?</p><div class="form-group"><label for="reviewerName">Your Name / Username</label><div class="input-wrap"><i class="fas fa-user" aria-hidden="true"></i><input type="text" id="reviewerName" placeholder="e.g. CoolDeveloper123" maxlength="50" autocomplete="name"></div><span class="input-hint">This will be displayed publicly</span></div><div class="step-buttons"><button type="button" class="btn btn-primary" data-action="next">Continue <i class="fas fa-arrow-right" aria-hidden="true"></i></button></div></div>
-                <div class="journey-step" data-step="2"><div class="step-number">02</div><h2>Which project?</h2><p>What did I design for you?</p><div class="form-group"><label for="projectName">Project Name</label><div class="input-wrap"><i class="fas fa-folder" aria-hidden="true"></i><input type="text" id="projectName" placeholder="e.g. Game UI, Lobby System" maxlength="100"></div></div><div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back</button><button type="button" class="btn btn-primary" data-action="next">Continue <i class="fas fa-arrow-right" aria-hidden="true"></i></button></div></div>
-                <div class="journey-step" data-step="3"><div class="step-number">03</div><h2>Rate your experience</h2><p>How would you rate my service?</p><div class="rating-selector" role="group" aria-label="Rating selection">${[1,2,3,4,5].map(n => `<button type="button" class="rating-star" data-rating="${n}" aria-label="${n} star"><i class="far fa-star" aria-hidden="true"></i></button>`).join('')}</div><div class="rating-label" id="ratingLabel" aria-live="polite">Select a rating</div><div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back</button><button type="button" class="btn btn-primary" data-action="next">Continue <i class="fas fa-arrow-right" aria-hidden="true"></i></button></div></div>
-                <div class="journey-step" data-step="4"><div class="step-number">04</div><h2>Share your thoughts</h2><p>What was your experience like?</p><div class="form-group"><label for="reviewText">Your Review</label><textarea id="reviewText" rows="4" placeholder="Tell others about your experience..." maxlength="500"></textarea><span class="input-hint"><span id="charCount">0</span>/500 characters</span></div><div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back</button><button type="button" class="btn btn-primary" data-action="next">Preview <i class="fas fa-arrow-right" aria-hidden="true"></i></button></div></div>
-                <div class="journey-step" data-step="5"><div class="step-number">05</div><h2>Preview your review</h2><p>Does everything look correct?</p><div class="review-preview glass-card" id="reviewPreview"></div><div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> Edit</button><button type="button" class="btn btn-primary" data-action="submit"><i class="fas fa-paper-plane" aria-hidden="true"></i> Submit Review</button></div></div>
-                <div class="journey-step" data-step="6"><div class="success-animation"><i class="fas fa-check" aria-hidden="true"></i></div><h2>Thank You!</h2><p>Your review has been submitted successfully.</p><div class="step-buttons"><a href="#reviews" class="btn btn-primary" data-page="reviews"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back to Reviews</a></div></div>`;
-        }
-    };
+                <div class="journey-step active" data-step="1"><div class="step-number">01</div><h2 data-i18n="review.nameTitle">What's your name?</h2><p data-i18n="review.nameText">How should we identify you?</p><div class="form-group"><label for="reviewerName" data-i18n="review.nameLabel">Your Name / Username</label><div class="input-wrap"><i class="fas fa-user" aria-hidden="true"></i><input type="text" id="reviewerName" placeholder="e.g. CoolDeveloper123" data-i18n="review.namePlaceholder" maxlength="50" autocomplete="name"></div><span class="input-hint" data-i18n="review.nameHint">This will be displayed publicly</span></div><div class="step-buttons">${next()}</div></div>
+                <div class="journey-step" data-step="2"><div class="step-number">02</div><h2 data-i18n="review.projectTitle">Which project?</h2><p data-i18n="review.projectText">What did I design for you?</p><div class="form-group"><label for="projectName" data-i18n="review.projectLabel">Project Name</label><div class="input-wrap"><i class="fas fa-folder" aria-hidden="true"></i><input type="text" id="projectName" placeholder="e.g. Game UI, Lobby System" data-i18n="review.projectPlaceholder" maxlength="100"></div></div><div class="step-buttons">${back}${next()}</div></div>
+                <div class="journey-step" data-step="3"><div class="step-number">03</div><h2 data-i18n="review.verifyTitle">Verify your order</h2><p data-i18n="review.verifyText">Got an order code from me? Enter it to get a Verified badge.</p><div class="form-group"><label for="orderCode" data-i18n="review.codeLabel">Order Code (optional)</label><div class="input-wrap"><i class="fas fa-receipt" aria-hidden="true"></i><input type="text" id="orderCode" placeholder="e.g. YD-AB12-CD34" data-i18n="review.codePlaceholder" maxlength="12" autocomplete="off" spellcheck="false"></div><span class="input-hint" data-i18n="review.codeHint">Each code works once and links your review to that project. Leave empty to skip.</span></div><div class="step-buttons">${back}${next()}</div></div>
+                <div class="journey-step" data-step="4"><div class="step-number">04</div><h2 data-i18n="review.ratingTitle">Rate your experience</h2><p data-i18n="review.ratingText">How would you rate my service?</p><div class="rating-selector" role="group" aria-label="Rating selection">${[1,2,3,4,5].map(n => `<button type="button" class="rating-star" data-rating="${n}" aria-label="${n} / 5"><i class="far fa-star" aria-hidden="true"></i></button>`).join('')}</div><div class="rating-label" id="ratingLabel" aria-live="polite" data-i18n="review.ratingSelect">Select a rating</div><div class="step-buttons">${back}${next()}</div></div>
+                <div class="journey-step" data-step="5"><div class="step-number">05</div><h2 data-i18n="review.textTitle">Share your thoughts</h2><p data-i18n="review.textText">What was your experience like?</p><div class="form-group"><label for="reviewText" data-i18n="review.textLabel">Your Review</label><textarea id="reviewText" rows="4" placeholder="Tell others about your experience..." data-i18n="review.textPlaceholder" maxlength="500"></textarea><span class="input-hint"><span id="charCount">0</span>/500 <span data-i18n="review.characters">characters</span></span></div><div class="step-buttons">${back}${next('review.preview')}</div></div>
+                <div class="journey-step" data-step="6"><div class="step-number">06</div><h2 data-i18n="review.previewTitle">Preview your review</h2><p data-i18n="review.previewText">Does everything look correct?</p><div class="review-preview glass-card" id="reviewPreview"></div><p class="form-error" id="reviewError" role="alert" hidden></p><div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="review.edit">Edit</span></button><button type="button" class="btn btn-primary" data-action="submit"><i class="fas fa-paper-plane" aria-hidden="true"></i> <span data-i18n="review.submit">Submit Review</span></button></div></div>
+                <div class="journey-step" data-step="7"><div class="success-animation"><i class="fas fa-check" aria-hidden="true"></i></div><h2 data-i18n="review.thanksTitle">Thank You!</h2><p data-i18n="review.thanksText">Your review has been submitted and will appear once it is approved.</p><div class="step-buttons"><a href="/reviews" class="btn btn-primary" data-page="reviews"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="review.backToReviews">Back to Reviews</span></a></div></div>`;
+        },
 
-    // ═══════════════════════════════════════════════════════════════
-    // GAMES MANAGER MODULE
-    // ═══════════════════════════════════════════════════════════════
-    
-    const GamesManager = {
-        async init() {
-            const grid = Utils.$('#gamesGrid');
-            const totalEl = Utils.$('#totalVisitsCount');
-            
-            if (!grid) return;
+        commission(params) {
+            const steps = [['layer-group', 'stepPlan'], ['ruler-combined', 'stepScope'], ['calendar-alt', 'stepDeadline'], ['wallet', 'stepBudget'], ['link', 'stepReferences'], ['address-card', 'stepContact'], ['check', 'stepDone']];
+            return `
+                <header class="page-header">
+                    <div class="container">
+                        <div class="page-badge"><i class="fas fa-paint-brush" aria-hidden="true"></i> <span data-i18n="commission.badge">Start a Project</span></div>
+                        <h1 class="page-title" data-i18n="commission.title">Start Your <span class="gradient-text">Commission</span></h1>
+                        <p class="page-subtitle" data-i18n="commission.subtitle">Tell me about your project and I will get back to you with a quote.</p>
+                    </div>
+                </header>
+                <section class="review-form-section">
+                    <div class="container">
+                        <p class="availability-notice glass-card" id="commissionAvailability" role="status" hidden><i class="fas fa-calendar-alt" aria-hidden="true"></i> <span data-i18n="availability.startNotice"></span> <strong class="availability-date"></strong></p>
+                        <div class="review-journey commission-journey glass-card">
+                            <div class="journey-progress">${steps.map(([icon, key], i) => `<div class="progress-step${i === 0 ? ' active' : ''}" data-step="${i + 1}"><div class="step-icon"><i class="fas fa-${icon}" aria-hidden="true"></i></div><span data-i18n="commission.${key}"></span></div>`).join('')}</div>
+                            ${this.renderCommissionSteps(params)}
+                        </div>
+                    </div>
+                </section>`;
+        },
 
-            if (CONFIG.GAME_PLACE_IDS.length === 0) {
-                grid.innerHTML = '<div class="no-games glass-card" style="grid-column:1/-1;text-align:center;padding:60px"><i class="fas fa-gamepad" style="font-size:3rem;color:var(--primary);margin-bottom:20px;display:block" aria-hidden="true"></i><h3>Games Coming Soon</h3></div>';
-                return;
-            }
+        renderCommissionSteps(params) {
+            const selectedPlan = params.get('plan');
+            const frames = Math.min(200, Math.max(1, parseInt(params.get('frames'), 10) || 1));
+            const wantsImport = selectedPlan === 'import' || params.get('import') === '1';
+            const nav = (first) => `<div class="step-buttons">${first ? '' : '<button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="commission.back">Back</span></button>'}<button type="button" class="btn btn-primary" data-action="next"><span data-i18n="commission.continue">Continue</span> <i class="fas fa-arrow-right" aria-hidden="true"></i></button></div>`;
+            const stepError = (key) => `<p class="form-error step-error" role="alert" data-i18n="${key}" hidden></p>`;
+            const plans = [...PricingData.plans.map(p => ({ id: p.id, icon: p.icon, key: `pricing.plan.${p.id}.name`, price: PricingData.formatUsd(p.usd) })), { id: 'custom', icon: 'fas fa-question', key: 'commission.planCustom', price: '', hintKey: 'commission.planCustomText' }];
+            const today = new Date().toISOString().slice(0, 10);
+            return `
+                <div class="journey-step active" data-step="1"><div class="step-number">01</div><h2 data-i18n="commission.planTitle">Which plan fits?</h2><p data-i18n="commission.planText">Pick the package closest to what you need.</p>
+                    <div class="plan-options" role="radiogroup" aria-label="Plan">${PricingData.loaded || PricingData.failed ? '' : '<div class="loading-games" style="grid-column:1/-1"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i></div>'}${plans.map(p => `<label class="plan-option"><input type="radio" name="commissionPlan" value="${p.id}"${p.id === selectedPlan ? ' checked' : ''}><i class="${p.icon}" aria-hidden="true"></i><strong data-i18n="${p.key}"></strong><small${p.hintKey ? ` data-i18n="${p.hintKey}"` : ''}>${p.price}</small></label>`).join('')}</div>
+                    ${stepError('commission.errorPlan')}${nav(true)}</div>
+                <div class="journey-step" data-step="2"><div class="step-number">02</div><h2 data-i18n="commission.scopeTitle">What is the scope?</h2><p data-i18n="commission.scopeText">Roughly how much UI do you need?</p>
+                    <div class="form-group"><label for="commissionFrames" data-i18n="commission.frames">Number of frames</label><div class="input-wrap"><i class="fas fa-clone" aria-hidden="true"></i><input type="number" id="commissionFrames" min="1" max="200" step="1" value="${frames}" inputmode="numeric"></div><span class="input-hint" data-i18n="commission.framesHint">Each screen or menu counts as one frame.</span></div>
+                    <div class="form-group"><label for="commissionStyle" data-i18n="commission.style">Style</label><div class="input-wrap"><i class="fas fa-palette" aria-hidden="true"></i><select id="commissionStyle"><option value="" data-i18n="commission.stylePick">Choose a style</option>${COMMISSION_STYLES.map(style => `<option value="${style}" data-i18n="commission.style.${style}"></option>`).join('')}</select></div></div>
+                    <label class="check-row"><input type="checkbox" id="commissionImport"${wantsImport ? ' checked' : ''}> <span data-i18n="commission.import">Import the UI into Roblox Studio for me</span></label>
+                    ${stepError('commission.errorScope')}${nav()}</div>
+                <div class="journey-step" data-step="3"><div class="step-number">03</div><h2 data-i18n="commission.deadlineTitle">When do you need it?</h2><p data-i18n="commission.deadlineText">Rush deadlines depend on the current queue.</p>
+                    <div class="form-group"><label for="commissionDeadline" data-i18n="commission.deadline">Deadline</label><div class="input-wrap"><i class="fas fa-calendar-alt" aria-hidden="true"></i><input type="date" id="commissionDeadline" min="${today}"></div></div>
+                    <label class="check-row"><input type="checkbox" id="commissionFlexible"> <span data-i18n="commission.flexible">No fixed deadline</span></label>
+                    ${stepError('commission.errorDeadline')}${nav()}</div>
+                <div class="journey-step" data-step="4"><div class="step-number">04</div><h2 data-i18n="commission.budgetTitle">What is your budget?</h2><p data-i18n="commission.budgetText">Pay in USD or Robux, whichever suits you.</p>
+                    <div class="form-group"><label for="commissionBudget" data-i18n="commission.budget">Budget</label><div class="input-wrap"><i class="fas fa-coins" aria-hidden="true"></i><input type="number" id="commissionBudget" min="1" step="any" inputmode="decimal"></div></div>
+                    <div class="currency-toggle" role="radiogroup" aria-label="Currency"><label><input type="radio" name="commissionCurrency" value="USD" checked> USD</label><label><input type="radio" name="commissionCurrency" value="ROBUX"> Robux</label></div>
+                    ${stepError('commission.errorBudget')}${nav()}</div>
+                <div class="journey-step" data-step="5"><div class="step-number">05</div><h2 data-i18n="commission.referencesTitle">Any references?</h2><p data-i18n="commission.referencesText">Links to games, images or mockups you like.</p>
+                    <div class="form-group"><label for="commissionReferences" data-i18n="commission.references">Reference links (one per line, up to 5)</label><textarea id="commissionReferences" rows="4" maxlength="1600" placeholder="https://" spellcheck="false"></textarea></div>
+                    <div class="form-group"><label for="commissionNotes" data-i18n="commission.notes">Anything else? (optional)</label><textarea id="commissionNotes" rows="3" maxlength="1000"></textarea></div>
+                    ${stepError('commission.errorReferences')}${nav()}</div>
+                <div class="journey-step" data-step="6"><div class="step-number">06</div><h2 data-i18n="commission.contactTitle">How can I reach you?</h2><p data-i18n="commission.contactText">Check your request and add your Discord username.</p>
+                    <div class="review-preview commission-summary glass-card" id="commissionSummary"></div>
+                    <div class="form-group"><label for="commissionContact" data-i18n="commission.contact">Discord username</label><div class="input-wrap"><i class="fab fa-discord" aria-hidden="true"></i><input type="text" id="commissionContact" maxlength="100" autocomplete="username" spellcheck="false"></div></div>
+                    ${stepError('commission.errorContact')}<p class="form-error" id="commissionError" role="alert" hidden></p>
+                    <div class="step-buttons"><button type="button" class="btn btn-secondary" data-action="prev"><i class="fas fa-arrow-left" aria-hidden="true"></i> <span data-i18n="commission.back">Back</span></button><button type="button" class="btn btn-primary" data-action="submit"><i class="fas fa-paper-plane" aria-hidden="true"></i> <span data-i18n="commission.send">Send Request</span></button></div></div>
+                <div class="journey-step" data-step="7"><div class="success-animation"><i class="fas fa-check" aria-hidden="true"></i></div><h2 data-i18n="commission.doneTitle">Request Sent!</h2><p data-i18n="commission.doneText">I will reach out on Discord soon. Keep this reference number:</p><p class="commission-reference" id="commissionReference"></p><div class="step-buttons"><a href="/" class="btn btn-primary" data-page="home"><i class="fas fa-home" aria-hidden="true"></i> <span data-i18n="commission.home">Back to Home</span></a></div></div>`;
+        },
 
-            if (!Utils.rateLimiter.canMakeRequest('games')) {
-                this.showError(grid);
-                return;
-            }
+        admin() {
+            return `
+                <header class="page-header">
+                    <div class="container">
+                        <div class="page-badge"><i class="fas fa-user-shield" aria-hidden="true"></i> Admin</div>
+                        <h1 class="page-title">Review <span class="gradient-text">Moderation</span></h1>
+                        <p class="page-subtitle">Approve, reject or edit reviews before they go live.</p>
+                    </div>
+                </header>
+                <section class="admin-section">
+                    <div class="container">
+                        <form class="admin-login glass-card" id="adminLogin" hidden>
+                            <div class="form-group"><label for="adminPassword">Password</label><div class="input-wrap"><i class="fas fa-lock" aria-hidden="true"></i><input type="password" id="adminPassword" maxlength="200" autocomplete="current-password"></div></div>
+                            <p class="form-error" id="adminError" role="alert" hidden></p>
+                            <button type="submit" class="btn btn-primary btn-full"><i class="fas fa-sign-in-alt" aria-hidden="true"></i> Sign In</button>
+                        </form>
+                        <div class="admin-panel" id="adminPanel" hidden>
+                            <div class="admin-toolbar"><h2>Pending Reviews <span id="adminPendingCount"></span></h2><button type="button" class="btn btn-secondary btn-sm" id="adminLogoutBtn"><i class="fas fa-sign-out-alt" aria-hidden="true"></i> Sign Out</button></div>
+                            <p class="form-error" id="adminPanelError" role="alert" hidden></p>
+                            <div class="admin-list" id="adminReviews" aria-live="polite"></div>
+                            <div class="admin-codes glass-card">
+                                <h2>Commission Queue</h2>
+                                <p class="input-hint">Accepted and in-progress commissions fill the slots behind the site's availability badge; completing or declining one frees its slot.</p>
+                                <ul class="admin-code-list" id="adminCommissions"></ul>
+                            </div>
+                            <div class="admin-codes glass-card">
+                                <h2>Order Codes</h2>
+                                <p class="input-hint">Give one code per finished commission; a review submitted with it is marked Verified.</p>
+                                <form class="admin-code-form" id="adminCodeForm">
+                                    <div class="input-wrap"><i class="fas fa-folder" aria-hidden="true"></i><input type="text" id="codeProject" placeholder="Project, e.g. Simulator Shop UI" maxlength="100" aria-label="Project"></div>
+                                    <div class="input-wrap"><i class="fas fa-user" aria-hidden="true"></i><input type="text" id="codeClient" placeholder="Client (optional)" maxlength="50" aria-label="Client"></div>
+                                    <button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-plus" aria-hidden="true"></i> Generate</button>
+                                </form>
+                                <ul class="admin-code-list" id="adminCodes"></ul>
+                            </div>
+                            <div class="admin-codes glass-card">
+                                <h2>Games Showcase</h2>
+                                <p class="input-hint">Games listed on the Games page, in this order. Portfolio links are item slugs separated by commas.</p>
+                                <form class="admin-code-form" id="adminShowcaseForm">
+                                    <div class="input-wrap"><i class="fas fa-gamepad" aria-hidden="true"></i><input type="text" id="showcasePlaceId" placeholder="Place ID" inputmode="numeric" maxlength="20" aria-label="Place ID"></div>
+                                    <div class="input-wrap"><i class="fas fa-user" aria-hidden="true"></i><input type="text" id="showcaseClient" placeholder="Client (optional)" maxlength="50" aria-label="Client"></div>
+                                    <div class="input-wrap"><select id="showcaseRole" aria-label="Role"><option value="">No role</option><option value="hud">HUD</option><option value="shop">Shop</option><option value="full">Full UI</option></select></div>
+                                    <div class="input-wrap"><i class="fas fa-images" aria-hidden="true"></i><input type="text" id="showcasePortfolio" placeholder="Portfolio slugs (optional)" maxlength="200" aria-label="Portfolio items"></div>
+                                    <button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-plus" aria-hidden="true"></i> Add</button>
+                                </form>
+                                <ul class="admin-code-list" id="adminShowcase"></ul>
+                            </div>
+                        </div>
+                    </div>
+                </section>`;
+        },
+
+        renderAdminReview(r, editing) {
+            const id = Utils.escapeHtml(r.id);
+            if (editing) {
+                return `
+                    <article class="review-card glass-card admin-item" data-id="${id}">
+                        <div class="form-group"><label for="edit-name-${id}">Name</label><div class="input-wrap"><input type="text" id="edit-name-${id}" data-field="name" value="${Utils.escapeHtml(r.name)}" maxlength="50"></div></div>
+                        <div class="form-group"><label for="edit-project-${id}">Project</label><div class="input-wrap"><input type="text" id="edit-project-${id}" data-field="project" value="${Utils.escapeHtml(r.project)}" maxlength="100"${r.verified ? ' readonly title="Set by the order code"' : ''}></div></div>
+                        <div class="form-group"><label for="edit-rating-${id}">Rating</label><div class="input-wrap"><input type="number" id="edit-rating-${id}" data-field="rating" value="${r.rating}" min="1" max="5"></div></div>
+                        <div class="form-group"><label for="edit-text-${id}">Review</label><textarea id="edit-text-${id}" data-field="text" rows="4" maxlength="500">${Utils.escapeHtml(r.text)}</textarea></div>
+                        <div class="admin-actions">
+                            <button type="button" class="btn btn-primary btn-sm" data-admin-action="save"><i class="fas fa-save" aria-hidden="true"></i> Save</button>
+                            <button type="button" class="btn btn-secondary btn-sm" data-admin-action="cancel">Cancel</button>
+                        </div>
+                    </article>`;
+            }
+            return `
+                <article class="review-card glass-card admin-item" data-id="${id}">
+                    <div class="review-header">
+                        <div class="reviewer-avatar"><i class="fas fa-user-astronaut" aria-hidden="true"></i></div>
+                        <div class="reviewer-info">
+                            <h4>${Utils.escapeHtml(r.name)}</h4>
+                            <span class="review-project">${Utils.escapeHtml(r.project)}</span>
+                        </div>
+                        ${r.verified ? `<div class="verified-badge"><i class="fas fa-check-circle" aria-hidden="true"></i> ${Utils.escapeHtml(r.orderCode)}</div>` : ''}
+                    </div>
+                    <div class="review-rating" aria-label="${r.rating} stars">
+                        ${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(r.rating)}
+                        ${'<i class="far fa-star" aria-hidden="true"></i>'.repeat(5 - r.rating)}
+                    </div>
+                    <p class="review-text">"${Utils.escapeHtml(r.text)}"</p>
+                    <div class="review-date"><i class="fas fa-calendar" aria-hidden="true"></i> ${Utils.escapeHtml(r.date)}</div>
+                    <div class="admin-actions">
+                        <button type="button" class="btn btn-primary btn-sm" data-admin-action="approve"><i class="fas fa-check" aria-hidden="true"></i> Approve</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-admin-action="reject"><i class="fas fa-times" aria-hidden="true"></i> Reject</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-admin-action="edit"><i class="fas fa-pen" aria-hidden="true"></i> Edit</button>
+                    </div>
+                </article>`;
+        },
+
+        renderOrderCode(c) {
+            return `
+                <li class="admin-code${c.usedAt ? ' used' : ''}">
+                    <code>${Utils.escapeHtml(c.code)}</code>
+                    <span>${Utils.escapeHtml(c.project)}${c.client ? ` · ${Utils.escapeHtml(c.client)}` : ''}</span>
+                    <span class="admin-code-state">${c.usedAt ? 'Used' : 'Unused'}</span>
+                </li>`;
+        },
+
+        renderAdminCommission(c) {
+            const actions = { new: ['accept', 'decline'], accepted: ['start', 'decline'], in_progress: ['complete'] }[c.status] || [];
+            const labels = { accept: 'Accept', start: 'Start', complete: 'Complete', decline: 'Decline' };
+            const budget = c.budget && (c.budget.currency === 'ROBUX' ? `${c.budget.amount.toLocaleString()} R$` : `$${c.budget.amount}`);
+            const details = [c.plan, `${c.frames} frames`, budget, c.deadline && `due ${c.deadline}`, c.contact].filter(Boolean);
+            return `
+                <li class="admin-code" data-commission-id="${Utils.escapeHtml(c.id)}">
+                    <code>${Utils.escapeHtml(c.reference)}</code>
+                    <span>${Utils.escapeHtml(details.join(' · '))}</span>
+                    <span class="admin-code-state">${Utils.escapeHtml(c.status.replace('_', ' '))}</span>
+                    <span class="admin-actions">${actions.map(a => `<button type="button" class="btn btn-${a === 'decline' ? 'secondary' : 'primary'} btn-sm" data-commission-action="${a}">${labels[a]}</button>`).join('')}</span>
+                </li>`;
+        },
+
+        renderShowcaseGame(g, index, total) {
+            const details = [g.client, g.role && g.role.toUpperCase(), (g.portfolio || []).join(', ')].filter(Boolean);
+            return `
+                <li class="admin-code" data-place-id="${Utils.escapeHtml(g.placeId)}">
+                    <code>${Utils.escapeHtml(g.placeId)}</code>
+                    <span>${Utils.escapeHtml(details.join(' · ')) || '—'}</span>
+                    <span class="admin-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-showcase-action="up" aria-label="Move up"${index === 0 ? ' disabled' : ''}><i class="fas fa-arrow-up" aria-hidden="true"></i></button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-showcase-action="down" aria-label="Move down"${index === total - 1 ? ' disabled' : ''}><i class="fas fa-arrow-down" aria-hidden="true"></i></button>
+                        <button type="button" class="btn btn-${g.featured ? 'primary' : 'secondary'} btn-sm" data-showcase-action="feature" aria-pressed="${g.featured}"><i class="fas fa-star" aria-hidden="true"></i> Featured</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-showcase-action="remove"><i class="fas fa-trash" aria-hidden="true"></i> Remove</button>
+                    </span>
+                </li>`;
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // GAMES MANAGER MODULE
+    // ═══════════════════════════════════════════════════════════════
+    
+    const GamesManager = {
+        games: [],
+        history: {},
+        sort: '',
+        query: '',
+
+        async init() {
+            const grid = Utils.$('#gamesGrid');
+            const totalEl = Utils.$('#totalVisitsCount');
+            
+            if (!grid) return;
+
+            this.games = [];
+            this.history = {};
+            this.sort = Router.params.get('sort') || '';
+            this.query = Router.params.get('q') || '';
+            this.attachToolbar();
+
+            if (!Utils.rateLimiter.canMakeRequest('games')) {
+                this.showError(grid);
+                return;
+            }
 
             try {
-                const res = await fetch(`${CONFIG.API_ENDPOINT}?ids=${CONFIG.GAME_PLACE_IDS.join(',')}`);
+                // The server's showcase list decides which games are shown
+                const res = await fetch(CONFIG.API_ENDPOINT);
                 
                 if (!res.ok) {
                     throw new Error(`HTTP ${res.status}`);
@@ -742,11 +1366,28 @@
                 
                 const data = await res.json();
                 
-                if (data.ok && Array.isArray(data.data)) {
-                    this.renderGames(grid, data.data);
+                if (data.ok && Array.isArray(data.data) && data.data.length === 0) {
+                    grid.innerHTML = `<div class="no-games glass-card" style="grid-column:1/-1;text-align:center;padding:60px"><i class="fas fa-gamepad" style="font-size:3rem;color:var(--primary);margin-bottom:20px;display:block" aria-hidden="true"></i><h3 data-i18n="games.comingSoon">${I18n.translate('games.comingSoon')}</h3></div>`;
+                } else if (data.ok && Array.isArray(data.data)) {
+                    const failed = data.data.filter(game => game.error);
+                    if (failed.length) {
+                        console.warn('Some games could not be loaded:', failed.map(game => `${game.inputId}: ${game.error}`));
+                    }
+                    this.games = data.data.filter(game => !game.error);
+                    this.applyView();
+                    this.loadHistory();
                     if (totalEl) {
                         totalEl.textContent = Utils.formatNumber(data.totalVisits);
                     }
+                    const onlineEl = Utils.$('#gamesOnline');
+                    const playingEl = Utils.$('#totalPlayingText');
+                    if (onlineEl && playingEl && data.totalPlaying != null) {
+                        const params = { count: data.totalPlaying };
+                        playingEl.dataset.i18n = 'games.playersOnline';
+                        playingEl.dataset.i18nParams = JSON.stringify(params);
+                        playingEl.innerHTML = I18n.translate('games.playersOnline', params);
+                        onlineEl.hidden = false;
+                    }
                 } else {
                     this.showError(grid);
                 }
@@ -756,15 +1397,116 @@
             }
         },
 
+        /**
+         * Fetch the recorded visit history of every loaded game in one request
+         */
+        async loadHistory() {
+            const ids = [...new Set(this.games.map(game => game.universeId).filter(Boolean))];
+            if (!ids.length) return;
+
+            try {
+                const res = await fetch(`${CONFIG.HISTORY_ENDPOINT}?universeId=${ids.join(',')}`);
+                const data = await res.json();
+                if (!data.ok) return;
+                data.data.forEach(entry => { this.history[entry.universeId] = entry; });
+                Utils.$$('.game-trend[data-universe]').forEach(el => {
+                    el.outerHTML = this.renderTrend(el.dataset.universe);
+                });
+            } catch (err) {
+                console.warn('Games history unavailable:', err);
+            }
+        },
+
+        /**
+         * Sparkline of visits gained between snapshots, plus this month's gain
+         */
+        renderTrend(universeId) {
+            const entry = this.history[universeId];
+            const points = entry ? entry.points : [];
+            if (points.length < 3) {
+                return `<div class="game-trend" data-universe="${Utils.escapeHtml(universeId || '')}" hidden></div>`;
+            }
+
+            const gains = points.slice(1).map((p, i) => Math.max(0, p.visits - points[i].visits));
+            const max = Math.max(...gains, 1);
+            const step = 100 / (gains.length - 1);
+            const line = gains.map((g, i) => `${(i * step).toFixed(1)},${(28 - (g / max) * 26).toFixed(1)}`).join(' ');
+            const month = entry.visitsThisMonth;
+
+            return `
+                <div class="game-trend">
+                    <svg class="game-sparkline" viewBox="0 0 100 30" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+                        <polyline points="0,30 ${line} 100,30" class="sparkline-fill"></polyline>
+                        <polyline points="${line}" class="sparkline-line"></polyline>
+                    </svg>
+                    ${month != null ? `<span class="game-trend-figure"><i class="fas fa-arrow-trend-up" aria-hidden="true"></i> <span ${I18n.attrs('games.visitsThisMonth', { count: month })}>${I18n.translate('games.visitsThisMonth', { count: month })}</span></span>` : ''}
+                </div>`;
+        },
+
+        attachToolbar() {
+            Utils.$$('.games-sort .filter-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    Utils.$$('.games-sort .filter-btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    this.sort = btn.dataset.sort;
+                    this.applyView();
+                });
+            });
+
+            const search = Utils.$('#gamesSearch');
+            if (search) {
+                search.addEventListener('input', Utils.debounce(() => {
+                    this.query = search.value.trim();
+                    this.applyView();
+                }, 200));
+            }
+        },
+
+        /**
+         * Sort and filter the loaded games, render them and mirror the state in the URL
+         */
+        applyView() {
+            Router.setParams({ sort: this.sort, q: this.query });
+
+            const grid = Utils.$('#gamesGrid');
+            if (!grid || !this.games.length) return;
+
+            const needle = this.query.toLowerCase();
+            const byNumber = field => (a, b) => (b[field] ?? -1) - (a[field] ?? -1);
+            const sorters = {
+                visits: byNumber('visits'),
+                playing: byNumber('playing'),
+                newest: (a, b) => (Date.parse(b.created) || 0) - (Date.parse(a.created) || 0),
+                name: (a, b) => String(a.name || '').localeCompare(String(b.name || ''), I18n.currentLang)
+            };
+
+            const games = this.games.filter(game => !needle || String(game.name || '').toLowerCase().includes(needle));
+            games.sort(sorters[this.sort] || ((a, b) => Number(!!b.featured) - Number(!!a.featured)));
+
+            if (!games.length) {
+                grid.innerHTML = `<p class="admin-empty">${I18n.translate('games.noMatch')}</p>`;
+                return;
+            }
+            this.renderGames(grid, games);
+        },
+
+        roles: {
+            hud: { key: 'games.roleHud', icon: 'heart' },
+            shop: { key: 'games.roleShop', icon: 'shopping-cart' },
+            full: { key: 'games.roleFull', icon: 'layer-group' }
+        },
+
         renderGames(grid, games) {
             grid.innerHTML = games.map((game, index) => {
-                const name = Utils.escapeHtml(game.name) || 'Unknown Game';
+                const name = Utils.escapeHtml(game.name) || I18n.translate('games.unknown');
                 const visits = Utils.formatNumber(game.visits);
-                const icon = game.icon || 'https://placehold.co/420x420/0a1628/b5c1dc?text=Game';
+                const likes = game.likeRatio != null ? I18n.formatNumber(game.likeRatio, { style: 'percent' }) : '—';
+                const icon = game.icon || ImageErrorHandler.gamePlaceholderUrl;
                 const gameUrl = `https://www.roblox.com/games/${Utils.escapeHtml(game.inputId)}`;
+                const role = this.roles[game.role];
                 
                 return `
-                    <article class="game-card glass-card" style="animation-delay:${index * 0.1}s">
+                    <article class="game-card glass-card" data-place-id="${Utils.escapeHtml(game.inputId)}" style="animation-delay:${index * 0.1}s">
                         <div class="game-thumbnail">
                             <a href="${gameUrl}" target="_blank" rel="noopener noreferrer">
                                 <img src="${Utils.escapeHtml(icon)}" 
@@ -778,16 +1520,38 @@
                                 <i class="fas fa-eye" aria-hidden="true"></i> 
                                 <span>${visits}</span>
                             </div>
+                            ${game.featured ? `<div class="game-featured"><i class="fas fa-star" aria-hidden="true"></i> <span data-i18n="games.featured">${I18n.translate('games.featured')}</span></div>` : ''}
                         </div>
                         <div class="game-info">
                             <h3><i class="fas fa-gamepad" aria-hidden="true"></i> ${name}</h3>
+                            ${game.client || role ? `
+                            <div class="game-credits">
+                                ${game.client ? `<span><i class="fas fa-user-tie" aria-hidden="true"></i> ${Utils.escapeHtml(game.client)}</span>` : ''}
+                                ${role ? `<span class="game-role"><i class="fas fa-${role.icon}" aria-hidden="true"></i> <span data-i18n="${role.key}">${I18n.translate(role.key)}</span></span>` : ''}
+                            </div>` : ''}
                             <div class="game-stats">
-                                <span><i class="fas fa-eye" aria-hidden="true"></i> ${visits} ${I18n.translate('games.visits')}</span>
+                                <span><i class="fas fa-eye" aria-hidden="true"></i> ${I18n.translate('games.visitsCount', { count: game.visits })}</span>
+                                <span><i class="fas fa-user-friends" aria-hidden="true"></i> ${I18n.translate('games.playingCount', { count: game.playing })}</span>
+                                <span><i class="fas fa-heart" aria-hidden="true"></i> ${I18n.translate('games.favoritesCount', { count: game.favorites })}</span>
+                                <span><i class="fas fa-thumbs-up" aria-hidden="true"></i> ${I18n.translate('games.likesPercent', { percent: likes })}</span>
+                            </div>
+                            ${this.renderTrend(game.universeId)}
+                            <div class="game-meta">
+                                ${game.genre ? `<span class="game-genre">${Utils.escapeHtml(game.genre)}</span>` : ''}
+                                ${game.updated ? `<span><i class="fas fa-sync-alt" aria-hidden="true"></i> ${I18n.translate('games.updated')} ${this.formatDate(game.updated)}</span>` : ''}
+                                ${game.created ? `<span><i class="fas fa-rocket" aria-hidden="true"></i> ${I18n.translate('games.created')} ${this.formatDate(game.created)}</span>` : ''}
+                            </div>
+                            <div class="game-actions">
+                                <a href="${gameUrl}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary btn-sm">
+                                    <i class="fas fa-play" aria-hidden="true"></i> 
+                                    <span data-i18n="games.playNow">${I18n.translate('games.playNow')}</span>
+                                </a>
+                                ${game.portfolio && game.portfolio.length ? `
+                                <a href="/portfolio/${Utils.escapeHtml(game.portfolio[0])}" data-page="portfolio/${Utils.escapeHtml(game.portfolio[0])}" class="btn btn-secondary btn-sm">
+                                    <i class="fas fa-images" aria-hidden="true"></i> 
+                                    <span data-i18n="games.seeWork">${I18n.translate('games.seeWork')}</span>
+                                </a>` : ''}
                             </div>
-                            <a href="${gameUrl}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary btn-sm">
-                                <i class="fas fa-play" aria-hidden="true"></i> 
-                                <span data-i18n="games.playNow">${I18n.translate('games.playNow')}</span>
-                            </a>
                         </div>
                     </article>`;
             }).join('');
@@ -795,13 +1559,17 @@
             // CSP-safe: Attach error handlers after render
             Utils.$$('.game-icon-img').forEach(img => {
                 img.addEventListener('error', function() {
-                    this.src = 'https://placehold.co/420x420/0a1628/b5c1dc?text=Game';
+                    this.src = ImageErrorHandler.gamePlaceholderUrl;
                 }, { once: true });
             });
         },
 
+        formatDate(iso) {
+            return I18n.formatDate(iso, { year: 'numeric', month: 'short', day: 'numeric' }) || '—';
+        },
+
         showError(grid) {
-            grid.innerHTML = '<div class="error-message glass-card" style="grid-column:1/-1;text-align:center;padding:60px"><i class="fas fa-exclamation-triangle" style="font-size:3rem;color:#ef4444;margin-bottom:20px;display:block" aria-hidden="true"></i><h3>Unable to load games</h3><p style="color:var(--text-secondary);margin-bottom:20px">Could not connect to Roblox API. This might be a temporary issue.</p><button type="button" class="btn btn-primary" id="retryGamesBtn"><i class="fas fa-redo"></i> Try Again</button></div>';
+            grid.innerHTML = `<div class="error-message glass-card" style="grid-column:1/-1;text-align:center;padding:60px"><i class="fas fa-exclamation-triangle" style="font-size:3rem;color:#ef4444;margin-bottom:20px;display:block" aria-hidden="true"></i><h3 data-i18n="games.errorTitle">${I18n.translate('games.errorTitle')}</h3><p style="color:var(--text-secondary);margin-bottom:20px" data-i18n="games.errorText">${I18n.translate('games.errorText')}</p><button type="button" class="btn btn-primary" id="retryGamesBtn"><i class="fas fa-redo"></i> <span data-i18n="games.retry">${I18n.translate('games.retry')}</span></button></div>`;
             
             // CSP-safe: Attach retry handler
             const retryBtn = Utils.$('#retryGamesBtn');
@@ -811,20 +1579,176 @@
         }
     };
 
+    // ═══════════════════════════════════════════════════════════════
+    // PORTFOLIO MANAGER MODULE
+    // ═══════════════════════════════════════════════════════════════
+
+    const PortfolioManager = {
+        currentTag: '',
+        query: '',
+
+        // Style tags shown as chips next to the categories
+        MAX_TAG_CHIPS: 8,
+
+        async init() {
+            if (Router.path) {
+                this.initProject(Router.path);
+                return;
+            }
+
+            const grid = Utils.$('#portfolioGrid');
+            if (!grid) return;
+
+            this.currentTag = Router.params.get('tag') || '';
+            this.query = Router.params.get('q') || '';
+
+            try {
+                await PortfolioData.load();
+            } catch (err) {
+                console.error('Portfolio fetch error:', err);
+                grid.innerHTML = `<div class="error-message glass-card" style="grid-column:1/-1;text-align:center;padding:60px"><i class="fas fa-exclamation-triangle" style="font-size:3rem;color:#ef4444;margin-bottom:20px;display:block" aria-hidden="true"></i><p data-i18n="portfolio.error">${I18n.translate('portfolio.error')}</p></div>`;
+                return;
+            }
+
+            this.renderFilters();
+            this.attachFilters();
+            this.render();
+
+            // Deep link to one image, e.g. /portfolio?item=quest-board&image=2
+            const slug = Router.params.get('item');
+            if (slug) Lightbox.open(slug, parseInt(Router.params.get('image'), 10) || 1);
+        },
+
+        async initProject(slug) {
+            const container = Utils.$('#projectDetail');
+            if (!container) return;
+
+            try {
+                await PortfolioData.load();
+            } catch (err) {
+                console.error('Portfolio fetch error:', err);
+            }
+
+            const item = PortfolioData.get(slug);
+            if (!item) {
+                container.innerHTML = `<div class="error-message glass-card" style="text-align:center;padding:60px"><i class="fas fa-search" style="font-size:3rem;color:var(--primary);margin-bottom:20px;display:block" aria-hidden="true"></i><p data-i18n="portfolio.notFound">${I18n.translate('portfolio.notFound')}</p><a href="/portfolio" class="btn btn-primary" data-page="portfolio" style="margin-top:20px"><span data-i18n="portfolio.back">${I18n.translate('portfolio.back')}</span></a></div>`;
+                return;
+            }
+
+            if (!container.querySelector('.project-frames')) {
+                container.innerHTML = Templates.renderProject(item);
+                I18n.translatePage();
+            }
+
+            Lightbox.init([item]);
+
+            const part = parseInt(Router.params.get('image'), 10);
+            if (Router.params.get('item') === slug) Lightbox.open(slug, part || 1);
+        },
+
+        /**
+         * Category chips first, then the most used style tags
+         */
+        renderFilters() {
+            const container = Utils.$('#portfolioFilters');
+            if (!container) return;
+
+            const counts = {};
+            PortfolioData.items.forEach(item => (item.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+            const tags = Object.keys(counts)
+                .filter(tag => !PortfolioData.categories.includes(tag))
+                .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+                .slice(0, this.MAX_TAG_CHIPS);
+            // Keep a deep-linked tag visible even when it is not among the most used
+            if (this.currentTag && !tags.includes(this.currentTag) && !PortfolioData.categories.includes(this.currentTag)) {
+                tags.push(this.currentTag);
+            }
+
+            const chip = (value, label, i18nKey) => `<button type="button" class="filter-btn${value === this.currentTag ? ' active' : ''}" data-tag="${Utils.escapeHtml(value)}"${i18nKey ? ` data-i18n="${i18nKey}"` : ''} aria-pressed="${value === this.currentTag}">${label}</button>`;
+            container.innerHTML = [
+                chip('', I18n.translate('portfolio.all'), 'portfolio.all'),
+                ...PortfolioData.categories.map(cat => chip(cat, I18n.translate(`portfolio.cat.${cat}`), `portfolio.cat.${cat}`)),
+                ...tags.map(tag => chip(tag, `#${Utils.escapeHtml(tag)}`))
+            ].join('');
+        },
+
+        attachFilters() {
+            Utils.$$('.portfolio-filters .filter-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    Utils.$$('.portfolio-filters .filter-btn').forEach(b => {
+                        b.classList.remove('active');
+                        b.setAttribute('aria-pressed', 'false');
+                    });
+                    btn.classList.add('active');
+                    btn.setAttribute('aria-pressed', 'true');
+                    this.currentTag = btn.dataset.tag;
+                    this.render();
+                });
+            });
+
+            const search = Utils.$('#portfolioSearch');
+            if (search) {
+                search.addEventListener('input', Utils.debounce(() => {
+                    this.query = search.value.trim();
+                    this.render();
+                }, 200));
+            }
+        },
+
+        matches(item) {
+            const tag = this.currentTag;
+            if (tag && item.category !== tag && !(item.tags || []).includes(tag)) return false;
+            if (!this.query) return true;
+
+            const needle = this.query.toLowerCase();
+            return [item.title, item.description, item.client, ...(item.tags || [])]
+                .some(text => String(text || '').toLowerCase().includes(needle));
+        },
+
+        render() {
+            Router.setParams({ tag: this.currentTag, q: this.query });
+
+            const grid = Utils.$('#portfolioGrid');
+            if (!grid) return;
+
+            const items = PortfolioData.items.filter(item => this.matches(item));
+            grid.innerHTML = items.length
+                ? items.map(item => Templates.renderPortfolioItem(item)).join('')
+                : `<p class="admin-empty" data-i18n="portfolio.noMatch">${I18n.translate('portfolio.noMatch')}</p>`;
+            Lightbox.init(items);
+        }
+    };
+
     // ═══════════════════════════════════════════════════════════════
     // REVIEWS MANAGER MODULE
     // ═══════════════════════════════════════════════════════════════
     
     const ReviewsManager = {
-        init() {
+        currentFilter: 'all',
+
+        async init() {
+            this.currentFilter = 'all';
             this.render('all');
             this.attachFilters();
+
+            await ReviewsData.load();
+            this.renderSummary();
+            this.render(this.currentFilter);
+        },
+
+        renderSummary() {
+            const summary = Utils.$('#reviewsSummary');
+            if (!summary) return;
+            summary.innerHTML = Templates.renderReviewsSummary(ReviewsData.getAll());
+            I18n.translatePage();
         },
 
         render(filter = 'all') {
             const grid = Utils.$('#reviewsGrid');
             if (!grid) return;
 
+            this.currentFilter = filter;
+
             const reviews = ReviewsData.getAll();
             const filtered = filter === 'all' 
                 ? reviews 
@@ -838,18 +1762,23 @@
                             <h4>${Utils.escapeHtml(r.name)}</h4>
                             <span class="review-project">${Utils.escapeHtml(r.project)}</span>
                         </div>
-                        ${r.verified ? '<div class="verified-badge"><i class="fas fa-check-circle" aria-hidden="true"></i> Verified</div>' : ''}
+                        ${r.verified ? `<div class="verified-badge"><i class="fas fa-check-circle" aria-hidden="true"></i> <span data-i18n="reviews.verified">${I18n.translate('reviews.verified')}</span></div>` : ''}
                     </div>
                     <div class="review-rating" aria-label="${r.rating} stars">
                         ${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(r.rating)}
                         ${'<i class="far fa-star" aria-hidden="true"></i>'.repeat(5 - r.rating)}
                     </div>
                     <p class="review-text">"${Utils.escapeHtml(r.text)}"</p>
-                    <div class="review-date"><i class="fas fa-calendar" aria-hidden="true"></i> ${r.date}</div>
+                    <div class="review-date"><i class="fas fa-calendar" aria-hidden="true"></i> ${this.formatDate(r.date)}</div>
                 </article>
             `).join('');
         },
 
+        // Review dates are 'YYYY-MM'; shown as e.g. "November 2024" in the current language
+        formatDate(month) {
+            return Utils.escapeHtml(I18n.formatDate(month, { year: 'numeric', month: 'long', timeZone: 'UTC' }) || month);
+        },
+
         attachFilters() {
             Utils.$$('.reviews-filters .filter-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
@@ -862,16 +1791,73 @@
     };
 
     // ═══════════════════════════════════════════════════════════════
-    // REVIEW FORM MODULE
+    // STEP JOURNEY (shared by the multi-step forms)
     // ═══════════════════════════════════════════════════════════════
     
-    const ReviewForm = {
+    const StepJourney = {
         currentStep: 1,
-        data: { name: '', project: '', rating: 0, text: '' },
+
+        // Wires the Back / Continue / Submit buttons of the journey on the current page
+        attachNavigation() {
+            Utils.$$('.journey-step [data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.action;
+                    if (action === 'next') this.nextStep();
+                    else if (action === 'prev') this.prevStep();
+                    else if (action === 'submit') this.submit();
+                });
+            });
+        },
+
+        nextStep() {
+            const valid = this.validateStep();
+            this.showStepError(!valid);
+            if (!valid) return;
+            this.saveStepData();
+            this.currentStep++;
+            this.enterStep(this.currentStep);
+            this.updateUI();
+        },
+
+        prevStep() {
+            this.showStepError(false);
+            this.currentStep--;
+            this.updateUI();
+        },
+
+        // Called with the new step number before it is shown
+        enterStep() {},
+
+        showStepError(visible) {
+            const error = Utils.$(`.journey-step[data-step="${this.currentStep}"] .step-error`);
+            if (!error) return;
+            if (visible && error.dataset.i18n) error.innerHTML = I18n.translate(error.dataset.i18n);
+            error.hidden = !visible;
+        },
+
+        updateUI() {
+            Utils.$$('.journey-step').forEach(step => {
+                step.classList.toggle('active', parseInt(step.dataset.step, 10) === this.currentStep);
+            });
+            Utils.$$('.progress-step').forEach(step => {
+                const n = parseInt(step.dataset.step, 10);
+                step.classList.toggle('active', n === this.currentStep);
+                step.classList.toggle('completed', n < this.currentStep);
+            });
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // REVIEW FORM MODULE
+    // ═══════════════════════════════════════════════════════════════
+
+    const ReviewForm = {
+        ...StepJourney,
+        data: { name: '', project: '', orderCode: '', rating: 0, text: '' },
 
         init() {
             this.currentStep = 1;
-            this.data = { name: '', project: '', rating: 0, text: '' };
+            this.data = { name: '', project: '', orderCode: '', rating: 0, text: '' };
             this.attachEventListeners();
         },
 
@@ -888,7 +1874,9 @@
                     });
                     const label = Utils.$('#ratingLabel');
                     if (label) {
-                        label.textContent = ['', 'Poor', 'Fair', 'Good', 'Great', 'Excellent'][this.data.rating];
+                        // Keep the key on the element so a language switch re-translates it
+                        label.dataset.i18n = `review.rating${this.data.rating}`;
+                        label.textContent = I18n.translate(label.dataset.i18n);
                     }
                 });
             });
@@ -902,97 +1890,615 @@
                 });
             }
 
-            // Navigation buttons
-            Utils.$$('[data-action]').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const action = btn.dataset.action;
-                    if (action === 'next') this.nextStep();
-                    else if (action === 'prev') this.prevStep();
-                    else if (action === 'submit') this.submit();
-                });
-            });
+            this.attachNavigation();
+        },
+
+        enterStep(step) {
+            if (step === 6) this.showPreview();
+        },
+
+        validateStep() {
+            switch (this.currentStep) {
+                case 1:
+                    const name = Utils.$('#reviewerName');
+                    return name && name.value.trim().length >= 2;
+                case 2:
+                    const project = Utils.$('#projectName');
+                    return project && project.value.trim().length >= 2;
+                case 3:
+                    const code = Utils.$('#orderCode');
+                    return code && (code.value.trim() === '' || /^YD-[A-Z0-9]{4}-[A-Z0-9]{4}$/i.test(code.value.trim()));
+                case 4:
+                    return this.data.rating > 0;
+                case 5:
+                    const text = Utils.$('#reviewText');
+                    return text && text.value.trim().length >= 10;
+                default:
+                    return true;
+            }
+        },
+
+        saveStepData() {
+            switch (this.currentStep) {
+                case 1:
+                    const name = Utils.$('#reviewerName');
+                    if (name) this.data.name = Utils.sanitizeInput(name.value);
+                    break;
+                case 2:
+                    const project = Utils.$('#projectName');
+                    if (project) this.data.project = Utils.sanitizeInput(project.value);
+                    break;
+                case 3:
+                    const code = Utils.$('#orderCode');
+                    if (code) this.data.orderCode = code.value.trim().toUpperCase();
+                    break;
+                case 5:
+                    const text = Utils.$('#reviewText');
+                    if (text) this.data.text = Utils.sanitizeInput(text.value);
+                    break;
+            }
+        },
+
+        showPreview() {
+            const preview = Utils.$('#reviewPreview');
+            if (preview) {
+                preview.innerHTML = `
+                    <div class="preview-header">
+                        <strong>${Utils.escapeHtml(this.data.name)}</strong> • ${Utils.escapeHtml(this.data.project)}
+                    </div>
+                    <div class="preview-rating">${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(this.data.rating)}</div>
+                    <p>"${Utils.escapeHtml(this.data.text)}"</p>
+                    ${this.data.orderCode ? `<div class="preview-verify"><i class="fas fa-receipt" aria-hidden="true"></i> <span data-i18n="review.codeCheck">${I18n.translate('review.codeCheck')}</span> ${Utils.escapeHtml(this.data.orderCode)}</div>` : ''}`;
+            }
+        },
+
+        async submit() {
+            const submitBtn = Utils.$('[data-action="submit"]');
+            const errorEl = Utils.$('#reviewError');
+            if (submitBtn) submitBtn.disabled = true;
+            if (errorEl) errorEl.hidden = true;
+
+            try {
+                const { orderCode, ...review } = this.data;
+                await ReviewsData.add(orderCode ? { ...review, orderCode } : review);
+                this.currentStep = 7;
+                this.updateUI();
+            } catch (err) {
+                console.error('Review submit error:', err);
+                if (errorEl) {
+                    errorEl.textContent = err.message || I18n.translate('review.submitError');
+                    errorEl.hidden = false;
+                }
+            } finally {
+                if (submitBtn) submitBtn.disabled = false;
+            }
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMMISSION FORM MODULE
+    // ═══════════════════════════════════════════════════════════════
+
+    const CommissionForm = {
+        ...StepJourney,
+        data: {},
+        MAX_REFERENCES: 5,
+
+        // Server validation errors name a field; send the client back to the step that has it
+        FIELD_STEPS: { plan: 1, frames: 2, style: 2, deadline: 3, budget: 4, references: 5, contact: 6 },
+
+        init() {
+            this.currentStep = 1;
+            this.data = { plan: '', frames: 1, style: '', importNeeded: false, deadline: null, budget: { amount: 0, currency: 'USD' }, references: [], notes: '', contact: '' };
+            this.attachNavigation();
+        },
+
+        checked(name) {
+            const input = Utils.$(`input[name="${name}"]:checked`);
+            return input ? input.value : '';
+        },
+
+        referenceLinks() {
+            const field = Utils.$('#commissionReferences');
+            return field ? field.value.split('\n').map(line => line.trim()).filter(Boolean) : [];
+        },
+
+        validateStep() {
+            switch (this.currentStep) {
+                case 1:
+                    return !!this.checked('commissionPlan');
+                case 2: {
+                    const frames = Number(Utils.$('#commissionFrames').value);
+                    return Number.isInteger(frames) && frames >= 1 && frames <= 200 && !!Utils.$('#commissionStyle').value;
+                }
+                case 3: {
+                    if (Utils.$('#commissionFlexible').checked) return true;
+                    const deadline = Utils.$('#commissionDeadline');
+                    return !!deadline.value && deadline.value >= deadline.min;
+                }
+                case 4:
+                    return Number(Utils.$('#commissionBudget').value) > 0;
+                case 5: {
+                    const links = this.referenceLinks();
+                    return links.length <= this.MAX_REFERENCES && links.every(link => /^https?:\/\/\S+$/i.test(link));
+                }
+                case 6:
+                    return Utils.$('#commissionContact').value.trim().length >= 2;
+                default:
+                    return true;
+            }
+        },
+
+        saveStepData() {
+            switch (this.currentStep) {
+                case 1:
+                    this.data.plan = this.checked('commissionPlan');
+                    break;
+                case 2:
+                    this.data.frames = Number(Utils.$('#commissionFrames').value);
+                    this.data.style = Utils.$('#commissionStyle').value;
+                    this.data.importNeeded = Utils.$('#commissionImport').checked;
+                    break;
+                case 3:
+                    this.data.deadline = Utils.$('#commissionFlexible').checked ? null : Utils.$('#commissionDeadline').value;
+                    break;
+                case 4:
+                    this.data.budget = { amount: Number(Utils.$('#commissionBudget').value), currency: this.checked('commissionCurrency') || 'USD' };
+                    break;
+                case 5:
+                    this.data.references = this.referenceLinks();
+                    this.data.notes = Utils.sanitizeInput(Utils.$('#commissionNotes').value);
+                    break;
+                case 6:
+                    this.data.contact = Utils.sanitizeInput(Utils.$('#commissionContact').value);
+                    break;
+            }
+        },
+
+        enterStep(step) {
+            if (step === 6) this.showSummary();
+        },
+
+        showSummary() {
+            const summary = Utils.$('#commissionSummary');
+            if (!summary) return;
+            const d = this.data;
+            const plan = PricingData.plan(d.plan);
+            const rows = [
+                ['commission.stepPlan', I18n.translate(plan ? `pricing.plan.${plan.id}.name` : 'commission.planCustom')],
+                ['commission.frames', d.frames],
+                ['commission.style', I18n.translate(`commission.style.${d.style}`)],
+                ['commission.import', I18n.translate(d.importNeeded ? 'commission.yes' : 'commission.no')],
+                ['commission.deadline', d.deadline ? Utils.escapeHtml(d.deadline) : I18n.translate('commission.flexible')],
+                ['commission.budget', `${d.budget.currency === 'USD' ? '$' : ''}${Utils.escapeHtml(String(d.budget.amount))}${d.budget.currency === 'ROBUX' ? ' Robux' : ''}`],
+                ['commission.stepReferences', d.references.length ? d.references.map(link => Utils.escapeHtml(link)).join('<br>') : I18n.translate('commission.none')]
+            ];
+            summary.innerHTML = `<dl>${rows.map(([key, value]) => `<div><dt>${I18n.translate(key)}</dt><dd>${value}</dd></div>`).join('')}</dl>`;
+        },
+
+        async submit() {
+            const valid = this.validateStep();
+            this.showStepError(!valid);
+            if (!valid) return;
+            this.saveStepData();
+
+            const submitBtn = Utils.$('.journey-step [data-action="submit"]');
+            const errorEl = Utils.$('#commissionError');
+            if (submitBtn) submitBtn.disabled = true;
+            if (errorEl) errorEl.hidden = true;
+
+            try {
+                const res = await fetch(CONFIG.COMMISSIONS_ENDPOINT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(this.data)
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok || !data.ok) {
+                    const err = new Error(data.error || `HTTP ${res.status}`);
+                    err.field = data.field;
+                    err.userMessage = data.error;
+                    throw err;
+                }
+                const reference = Utils.$('#commissionReference');
+                if (reference) reference.textContent = data.reference;
+                this.currentStep = 7;
+                this.updateUI();
+            } catch (err) {
+                console.error('Commission submit error:', err);
+                const step = this.FIELD_STEPS[err.field];
+                if (step && step !== this.currentStep) {
+                    this.currentStep = step;
+                    this.updateUI();
+                }
+                const target = step && step !== 6 ? Utils.$(`.journey-step[data-step="${step}"] .step-error`) : errorEl;
+                if (target) {
+                    target.textContent = err.userMessage || I18n.translate('commission.errorSend');
+                    target.hidden = false;
+                }
+            } finally {
+                // Stays disabled while commissions are closed, as Availability.render() left it
+                if (submitBtn) submitBtn.disabled = Availability.isClosed();
+            }
+        }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // ADMIN PANEL MODULE (Review Moderation)
+    // ═══════════════════════════════════════════════════════════════
+    
+    const AdminPanel = {
+        reviews: [],
+        codes: [],
+        showcase: [],
+        commissions: [],
+        editingId: null,
+
+        init() {
+            this.reviews = [];
+            this.codes = [];
+            this.showcase = [];
+            this.commissions = [];
+            this.editingId = null;
+
+            const form = Utils.$('#adminLogin');
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.login();
+                });
+            }
+
+            const codeForm = Utils.$('#adminCodeForm');
+            if (codeForm) {
+                codeForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.createCode();
+                });
+            }
+
+            const showcaseForm = Utils.$('#adminShowcaseForm');
+            if (showcaseForm) {
+                showcaseForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.addShowcaseGame();
+                });
+            }
+
+            const showcaseList = Utils.$('#adminShowcase');
+            if (showcaseList) {
+                showcaseList.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-showcase-action]');
+                    const item = btn && btn.closest('[data-place-id]');
+                    if (item) this.updateShowcaseGame(btn.dataset.showcaseAction, item.dataset.placeId);
+                });
+            }
+
+            const commissionList = Utils.$('#adminCommissions');
+            if (commissionList) {
+                commissionList.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-commission-action]');
+                    const item = btn && btn.closest('[data-commission-id]');
+                    if (item) this.updateCommission(btn.dataset.commissionAction, item.dataset.commissionId);
+                });
+            }
+
+            const logoutBtn = Utils.$('#adminLogoutBtn');
+            if (logoutBtn) {
+                logoutBtn.addEventListener('click', () => this.logout());
+            }
+
+            const list = Utils.$('#adminReviews');
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-admin-action]');
+                    const item = btn && btn.closest('.admin-item');
+                    if (item) this.handleAction(btn.dataset.adminAction, item);
+                });
+            }
+
+            this.loadReviews();
+        },
+
+        async request(path, options = {}) {
+            const res = await fetch(`${CONFIG.ADMIN_ENDPOINT}/${path}`, {
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                ...options
+            });
+            const data = await res.json().catch(() => ({}));
+            return { status: res.status, data };
+        },
+
+        async loadReviews() {
+            try {
+                const { status, data } = await this.request('reviews?status=pending');
+                if (status === 404) {
+                    this.showLogin(true);
+                    return;
+                }
+                if (!data.ok) throw new Error(data.error || `HTTP ${status}`);
+                this.reviews = data.data;
+                this.showLogin(false);
+                this.render();
+                this.loadCommissions();
+                this.loadCodes();
+                this.loadShowcase();
+            } catch (err) {
+                console.error('Admin reviews error:', err);
+                this.showLogin(false);
+                this.showError(err.message, '#adminPanelError');
+            }
+        },
+
+        async loadCommissions() {
+            try {
+                const { status, data } = await this.request('commissions');
+                if (!data.ok) throw new Error(data.error || `HTTP ${status}`);
+                this.commissions = data.data;
+                this.renderCommissions();
+            } catch (err) {
+                console.error('Admin commissions error:', err);
+                this.showError(`Could not load commissions: ${err.message}`, '#adminPanelError');
+            }
+        },
+
+        async updateCommission(action, id) {
+            let data;
+            try {
+                ({ data } = await this.request('commissions', { method: 'PATCH', body: JSON.stringify({ id, action }) }));
+            } catch (err) {
+                console.error('Admin commission update error:', err);
+                this.showError(`Could not update the commission: ${err.message}`, '#adminPanelError');
+                return;
+            }
+            if (!data.ok) {
+                this.showError(data.error || 'Could not update the commission.', '#adminPanelError');
+                return;
+            }
+            this.showError('', '#adminPanelError');
+            this.commissions = ['completed', 'declined'].includes(data.data.status)
+                ? this.commissions.filter(c => c.id !== id)
+                : this.commissions.map(c => (c.id === id ? data.data : c));
+            this.renderCommissions();
+        },
+
+        renderCommissions() {
+            const list = Utils.$('#adminCommissions');
+            if (!list) return;
+            list.innerHTML = this.commissions.length
+                ? this.commissions.map(c => Templates.renderAdminCommission(c)).join('')
+                : '<li class="admin-empty">No open commissions.</li>';
+        },
+
+        async loadCodes() {
+            try {
+                const { status, data } = await this.request('orderCodes');
+                if (!data.ok) throw new Error(data.error || `HTTP ${status}`);
+                this.codes = data.data;
+                this.renderCodes();
+            } catch (err) {
+                console.error('Admin order codes error:', err);
+                this.showError(`Could not load order codes: ${err.message}`, '#adminPanelError');
+            }
+        },
+
+        async createCode() {
+            const project = Utils.$('#codeProject');
+            const client = Utils.$('#codeClient');
+            if (!project || project.value.trim().length < 2) return;
+
+            let data;
+            try {
+                ({ data } = await this.request('orderCodes', {
+                    method: 'POST',
+                    body: JSON.stringify({ project: project.value, client: client ? client.value : '' })
+                }));
+            } catch (err) {
+                console.error('Admin order code error:', err);
+                this.showError(`Could not create the order code: ${err.message}`, '#adminPanelError');
+                return;
+            }
+            if (!data.ok) {
+                this.showError(data.error || 'Could not create the order code.', '#adminPanelError');
+                return;
+            }
+            this.showError('', '#adminPanelError');
+            project.value = '';
+            if (client) client.value = '';
+            this.codes.unshift(data.data);
+            this.renderCodes();
+        },
+
+        async loadShowcase() {
+            try {
+                const { status, data } = await this.request('showcase');
+                if (!data.ok) throw new Error(data.error || `HTTP ${status}`);
+                this.showcase = data.data;
+                this.renderShowcase();
+            } catch (err) {
+                console.error('Admin showcase error:', err);
+                this.showError(`Could not load the showcase: ${err.message}`, '#adminPanelError');
+            }
+        },
+
+        async addShowcaseGame() {
+            const fields = ['PlaceId', 'Client', 'Role', 'Portfolio'].map(name => Utils.$(`#showcase${name}`));
+            if (fields.some(field => !field) || !fields[0].value.trim()) return;
+
+            const [placeId, client, role, portfolio] = fields.map(field => field.value.trim());
+            let data;
+            try {
+                ({ data } = await this.request('showcase', {
+                    method: 'POST',
+                    body: JSON.stringify({ placeId, client, role, portfolio })
+                }));
+            } catch (err) {
+                console.error('Admin showcase error:', err);
+                this.showError(`Could not add the game: ${err.message}`, '#adminPanelError');
+                return;
+            }
+            if (!data.ok) {
+                this.showError(data.error || 'Could not add the game.', '#adminPanelError');
+                return;
+            }
+            this.showError('', '#adminPanelError');
+            fields.forEach(field => { field.value = ''; });
+            this.showcase = data.data;
+            this.renderShowcase();
+        },
+
+        async updateShowcaseGame(action, placeId) {
+            const index = this.showcase.findIndex(g => g.placeId === placeId);
+            if (index === -1) return;
+
+            let options;
+            if (action === 'remove') {
+                options = { method: 'DELETE', body: JSON.stringify({ placeId }) };
+            } else {
+                const changes = action === 'feature'
+                    ? { featured: !this.showcase[index].featured }
+                    : { position: index + (action === 'up' ? -1 : 1) };
+                options = { method: 'PATCH', body: JSON.stringify({ placeId, ...changes }) };
+            }
+
+            let data;
+            try {
+                ({ data } = await this.request('showcase', options));
+            } catch (err) {
+                console.error('Admin showcase error:', err);
+                this.showError(`Could not update the showcase: ${err.message}`, '#adminPanelError');
+                return;
+            }
+            if (!data.ok) {
+                this.showError(data.error || 'Could not update the showcase.', '#adminPanelError');
+                return;
+            }
+            this.showError('', '#adminPanelError');
+            this.showcase = data.data;
+            this.renderShowcase();
+        },
+
+        renderShowcase() {
+            const list = Utils.$('#adminShowcase');
+            if (list) list.innerHTML = this.showcase.map((g, i) => Templates.renderShowcaseGame(g, i, this.showcase.length)).join('');
         },
 
-        nextStep() {
-            if (!this.validateStep()) return;
-            this.saveStepData();
-            this.currentStep++;
-            if (this.currentStep === 5) this.showPreview();
-            this.updateUI();
+        renderCodes() {
+            const list = Utils.$('#adminCodes');
+            if (list) list.innerHTML = this.codes.map(c => Templates.renderOrderCode(c)).join('');
         },
 
-        prevStep() {
-            this.currentStep--;
-            this.updateUI();
+        showLogin(visible) {
+            const form = Utils.$('#adminLogin');
+            const panel = Utils.$('#adminPanel');
+            if (form) form.hidden = !visible;
+            if (panel) panel.hidden = visible;
+            if (visible) {
+                const input = Utils.$('#adminPassword');
+                if (input) input.focus();
+            }
         },
 
-        validateStep() {
-            switch (this.currentStep) {
-                case 1:
-                    const name = Utils.$('#reviewerName');
-                    return name && name.value.trim().length >= 2;
-                case 2:
-                    const project = Utils.$('#projectName');
-                    return project && project.value.trim().length >= 2;
-                case 3:
-                    return this.data.rating > 0;
-                case 4:
-                    const text = Utils.$('#reviewText');
-                    return text && text.value.trim().length >= 10;
-                default:
-                    return true;
+        showError(message, selector = '#adminError') {
+            const errorEl = Utils.$(selector);
+            if (errorEl) {
+                errorEl.textContent = message;
+                errorEl.hidden = !message;
             }
         },
 
-        saveStepData() {
-            switch (this.currentStep) {
-                case 1:
-                    const name = Utils.$('#reviewerName');
-                    if (name) this.data.name = Utils.sanitizeInput(name.value);
-                    break;
-                case 2:
-                    const project = Utils.$('#projectName');
-                    if (project) this.data.project = Utils.sanitizeInput(project.value);
-                    break;
-                case 4:
-                    const text = Utils.$('#reviewText');
-                    if (text) this.data.text = Utils.sanitizeInput(text.value);
-                    break;
+        async login() {
+            const input = Utils.$('#adminPassword');
+            if (!input || !input.value) return;
+
+            try {
+                const { status, data } = await this.request('login', {
+                    method: 'POST',
+                    body: JSON.stringify({ password: input.value })
+                });
+
+                if (status === 200 && data.ok) {
+                    this.showError('');
+                    this.loadReviews();
+                } else {
+                    this.showError(data.code === 429 ? data.error : 'Sign in failed.');
+                }
+            } catch (err) {
+                console.error('Admin login error:', err);
+                this.showError('Could not reach the server. Please try again.');
+            } finally {
+                input.value = '';
             }
         },
 
-        showPreview() {
-            const preview = Utils.$('#reviewPreview');
-            if (preview) {
-                preview.innerHTML = `
-                    <div class="preview-header">
-                        <strong>${Utils.escapeHtml(this.data.name)}</strong> • ${Utils.escapeHtml(this.data.project)}
-                    </div>
-                    <div class="preview-rating">${'<i class="fas fa-star" aria-hidden="true"></i>'.repeat(this.data.rating)}</div>
-                    <p>"${Utils.escapeHtml(this.data.text)}"</p>`;
+        async logout() {
+            try {
+                await this.request('login', { method: 'DELETE' });
+                this.reviews = [];
+                this.showLogin(true);
+            } catch (err) {
+                console.error('Admin logout error:', err);
+                this.showError(`Could not sign out: ${err.message}`, '#adminPanelError');
             }
         },
 
-        updateUI() {
-            Utils.$$('.journey-step').forEach(step => {
-                step.classList.toggle('active', parseInt(step.dataset.step, 10) === this.currentStep);
-            });
-            Utils.$$('.progress-step').forEach(step => {
-                const n = parseInt(step.dataset.step, 10);
-                step.classList.toggle('active', n === this.currentStep);
-                step.classList.toggle('completed', n < this.currentStep);
-            });
+        render() {
+            const list = Utils.$('#adminReviews');
+            const countEl = Utils.$('#adminPendingCount');
+            if (countEl) countEl.textContent = `(${this.reviews.length})`;
+            if (!list) return;
+
+            list.innerHTML = this.reviews.length
+                ? this.reviews.map(r => Templates.renderAdminReview(r, r.id === this.editingId)).join('')
+                : '<p class="admin-empty">No reviews are waiting for moderation.</p>';
         },
 
-        submit() {
-            const newReview = {
-                ...this.data,
-                date: new Date().toISOString().slice(0, 7),
-                verified: false
-            };
-            ReviewsData.add(newReview);
-            this.currentStep = 6;
-            this.updateUI();
+        async handleAction(action, item) {
+            const id = item.dataset.id;
+
+            if (action === 'edit' || action === 'cancel') {
+                this.editingId = action === 'edit' ? id : null;
+                this.render();
+                return;
+            }
+
+            const body = { id, action: action === 'save' ? 'edit' : action };
+            if (action === 'save') {
+                item.querySelectorAll('[data-field]').forEach(field => {
+                    body[field.dataset.field] = field.dataset.field === 'rating' ? parseInt(field.value, 10) : field.value;
+                });
+            }
+
+            item.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+            let status;
+            let data;
+            try {
+                ({ status, data } = await this.request('reviews', { method: 'PATCH', body: JSON.stringify(body) }));
+            } catch (err) {
+                console.error('Admin review update error:', err);
+                this.showError(`Could not update the review: ${err.message}`, '#adminPanelError');
+                this.render();
+                return;
+            }
+
+            if (!data.ok) {
+                // Stealth 404 from the auth guard means the session has expired
+                if (status === 404 && data.error === 'Not found') {
+                    this.showLogin(true);
+                    return;
+                }
+                this.showError(data.error || 'Could not update the review.', '#adminPanelError');
+                this.render();
+                return;
+            }
+
+            this.showError('', '#adminPanelError');
+            this.editingId = null;
+            this.reviews = data.data.status === 'pending'
+                ? this.reviews.map(r => (r.id === id ? data.data : r))
+                : this.reviews.filter(r => r.id !== id);
+            this.render();
         }
     };
 
@@ -1002,34 +2508,98 @@
     
     const Router = {
         currentPage: 'home',
+        path: '',
+        params: new URLSearchParams(),
 
         init() {
-            const hash = window.location.hash.slice(1) || 'home';
-            this.navigate(hash, false);
-            
-            window.addEventListener('hashchange', () => {
-                this.navigate(window.location.hash.slice(1) || 'home', false);
+            // Old links such as /#pricing still arrive as hashes; anything else (#mainContent) is an anchor
+            const legacy = this.legacyRoute();
+            this.navigate(legacy || this.locationRoute(), false);
+
+            // Back/forward, and hash changes (which fire popstate too)
+            window.addEventListener('popstate', () => {
+                const legacy = this.legacyRoute();
+                const route = legacy || this.locationRoute();
+                // Following an in-page anchor such as #mainContent stays on the page
+                if (!legacy && this.href(route) === this.href(this.currentRoute())) return;
+                this.navigate(route, false);
             });
 
             document.addEventListener('click', e => {
                 const link = e.target.closest('[data-page]');
                 if (link) {
+                    // Let the browser open new tabs and windows itself
+                    if (link.href && (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey)) return;
                     e.preventDefault();
+                    // Commission links are disabled while commissions are closed
+                    if (link.getAttribute('aria-disabled') === 'true') return;
                     this.navigate(link.dataset.page);
                 }
             });
         },
 
-        navigate(page, updateHash = true) {
+        // The route in the address bar, e.g. "portfolio/quest-board?item=x" for /portfolio/quest-board?item=x
+        locationRoute() {
+            return window.location.pathname.replace(/^\/+/, '') + window.location.search;
+        },
+
+        legacyRoute() {
+            const route = window.location.hash.slice(1);
+            return route && Templates[this.parse(route).page] ? route : null;
+        },
+
+        /**
+         * The URL of a route: "/" for the home page, "/pricing", "/portfolio/quest-board?item=x"
+         */
+        href(route) {
+            const { page, path, params } = this.parse(route);
+            return page === 'home' && !path
+                ? `/${params.toString() ? `?${params}` : ''}`
+                : `/${this.format(page, path, params)}`;
+        },
+
+        /**
+         * Split a route like "portfolio/quest-board?item=x" into page name, sub-path and params
+         */
+        parse(route) {
+            const [location, query = ''] = String(route || '').split('?');
+            const [page, ...rest] = location.split('/');
+            return { page: page || 'home', path: decodeURIComponent(rest.join('/')), params: new URLSearchParams(query) };
+        },
+
+        format(page, path, params) {
+            const query = params.toString();
+            return `${page}${path ? `/${encodeURIComponent(path)}` : ''}${query ? `?${query}` : ''}`;
+        },
+
+        currentRoute() {
+            return this.format(this.currentPage, this.path, this.params);
+        },
+
+        /**
+         * Render a route. New navigations add a history entry; with push = false (start-up,
+         * back/forward, re-renders) the address bar is only corrected in place.
+         */
+        navigate(route, push = true) {
+            let { page, path, params } = this.parse(route);
             if (!Templates[page]) {
                 page = 'home';
+                path = '';
+                params = new URLSearchParams();
             }
 
-            this.currentPage = page;
-            
-            if (updateHash) {
-                window.location.hash = page;
+            const url = this.href(this.format(page, path, params));
+            if (url !== window.location.pathname + window.location.search || this.legacyRoute()) {
+                history[push ? 'pushState' : 'replaceState'](null, '', url);
             }
+            this.setCanonical(url);
+
+            // Browser back/forward while the viewer is open should not leave it over another page
+            Lightbox.close(false);
+
+            this.currentPage = page;
+            this.path = path;
+            this.params = params;
 
             // Update active states
             Utils.$$('.nav-link, .mobile-nav-link').forEach(link => {
@@ -1041,7 +2611,7 @@
             if (main) {
                 main.style.opacity = '0';
                 setTimeout(() => {
-                    main.innerHTML = Templates[page]();
+                    main.innerHTML = Templates[page](params, path);
                     main.style.opacity = '1';
                     this.initPageFeatures(page);
                     I18n.translatePage();
@@ -1050,13 +2620,41 @@
             }
         },
 
+        /**
+         * Update the current page's params in the URL without re-rendering (empty values remove a param)
+         */
+        setParams(values) {
+            const params = new URLSearchParams(this.params);
+            Object.entries(values).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+                else params.delete(key);
+            });
+            this.params = params;
+            history.replaceState(null, '', this.href(this.currentRoute()));
+        },
+
+        // Each page is its own URL for search engines, so the canonical link follows the route
+        setCanonical(url) {
+            const canonical = Utils.$('link[rel="canonical"]');
+            if (canonical) canonical.href = new URL(url.split('?')[0], canonical.href).href;
+        },
+
         initPageFeatures(page) {
+            Availability.render();
+
+            // Pages that show prices render again once /api/pricing has answered
+            if (['pricing', 'policies', 'commission'].includes(page) && !PricingData.loaded && !PricingData.failed) {
+                PricingData.load().then(() => {
+                    if (this.currentPage === page) this.navigate(this.currentRoute(), false);
+                });
+            }
+
             switch (page) {
                 case 'games':
                     GamesManager.init();
                     break;
                 case 'portfolio':
-                    Lightbox.init();
+                    PortfolioManager.init();
                     break;
                 case 'reviews':
                     ReviewsManager.init();
@@ -1064,13 +2662,93 @@
                 case 'submit-review':
                     ReviewForm.init();
                     break;
+                case 'commission':
+                    CommissionForm.init();
+                    break;
                 case 'pricing':
                     FAQManager.init();
+                    PriceCalculator.init();
+                    break;
+                case 'admin':
+                    AdminPanel.init();
                     break;
             }
         }
     };
 
+    // ═══════════════════════════════════════════════════════════════
+    // PRICE CALCULATOR MODULE
+    // ═══════════════════════════════════════════════════════════════
+
+    const PriceCalculator = {
+        // Receipt labels; plan lines use the plan's own name
+        LINE_KEYS: { extraUis: 'calc.extraUis', import: 'calc.import', extraHuds: 'calc.extraHuds', psd: 'calc.psd', rush: 'calc.rush' },
+
+        init() {
+            const form = Utils.$('.calc-form');
+            if (!form) return;
+            form.addEventListener('input', () => this.render());
+            this.render();
+        },
+
+        options() {
+            const count = (id, min) => Math.min(Number(Utils.$(id).max), Math.max(min, parseInt(Utils.$(id).value, 10) || min));
+            return {
+                plan: Utils.$('#calcPlan').value,
+                frames: count('#calcFrames', 1),
+                huds: count('#calcHuds', 0),
+                import: Utils.$('#calcImport').checked,
+                psd: Utils.$('#calcPsd').checked,
+                rush: Utils.$('#calcRush').checked
+            };
+        },
+
+        // Options a plan already includes are shown ticked and locked; the client's own choice
+        // comes back when they switch to a plan where the option is optional again
+        syncOptions(plan) {
+            const lock = (id, included, applies = true) => {
+                const input = Utils.$(id);
+                if (!input.disabled) input.dataset.choice = input.checked ? '1' : '';
+                input.disabled = included || !applies;
+                input.checked = included || (applies && input.dataset.choice === '1');
+            };
+            lock('#calcImport', plan.includes.import);
+            lock('#calcPsd', plan.includes.psd, plan.unit !== 'frame');
+
+            const label = Utils.$('#calcFramesLabel');
+            const key = plan.unit === 'project' ? 'calc.uis' : 'calc.frames';
+            label.dataset.i18n = key;
+            label.textContent = I18n.translate(key);
+            Utils.$('#calcFramesHint').innerHTML = plan.unit === 'project' ? `<span data-i18n="calc.included">${I18n.translate('calc.included')}</span>: ${I18n.formatNumber(PricingData.extras.customUi.free)}` : '';
+        },
+
+        render() {
+            const options = this.options();
+            const plan = PricingData.plan(options.plan);
+            this.syncOptions(plan);
+            Object.assign(options, { import: Utils.$('#calcImport').checked, psd: Utils.$('#calcPsd').checked });
+
+            const quote = PricingData.quote(options);
+            const robux = (n) => `${I18n.formatNumber(n)} R$`;
+            Utils.$('#calcLines').innerHTML = quote.lines.map(line => {
+                const label = I18n.translate(this.LINE_KEYS[line.key] || `pricing.plan.${plan.id}.name`);
+                const suffix = line.key === 'rush' ? ` (+${I18n.formatNumber(PricingData.extras.rush.rate, { style: 'percent' })})` : line.count > 1 ? ` × ${I18n.formatNumber(line.count)}` : '';
+                return `<li><span class="calc-label">${label}${suffix}</span><span class="calc-usd">${PricingData.formatUsd(line.usd)}</span><span class="calc-rbx">${robux(line.robux)}</span></li>`;
+            }).join('');
+            Utils.$('#calcTotalUsd').textContent = PricingData.formatUsd(quote.usd);
+            const local = Utils.$('#calcTotalLocal');
+            if (local) local.textContent = PricingData.formatLocal(quote.usd);
+            Utils.$('#calcRobux').textContent = robux(quote.robux);
+            Utils.$('#calcTax').textContent = `+ ${robux(quote.tax)}`;
+            Utils.$('#calcRobuxTotal').textContent = robux(quote.robuxWithTax);
+
+            const order = new URLSearchParams({ plan: plan.id, frames: String(options.frames) });
+            if (options.import) order.set('import', '1');
+            Utils.$('#calcOrder').dataset.page = `commission?${order}`;
+            Utils.$('#calcOrder').setAttribute('href', `/commission?${order}`);
+        }
+    };
+
     // ═══════════════════════════════════════════════════════════════
     // FAQ MANAGER MODULE
     // ═══════════════════════════════════════════════════════════════
@@ -1108,42 +2786,36 @@
     // ═══════════════════════════════════════════════════════════════
     
     const ImageErrorHandler = {
-        placeholderUrl: 'https://placehold.co/400x300/0a1628/8b5cf6?text=Image+Not+Found',
+        placeholderUrl: '/images/placeholder-image.svg',
+        gamePlaceholderUrl: '/images/placeholder-game.svg',
         
         init() {
             // Handle portfolio images
-            Utils.$$('#portfolioGrid img[data-fallback]').forEach(img => {
+            Utils.$$('.portfolio-item img').forEach(img => {
                 img.addEventListener('error', () => this.handleError(img));
             });
             
             // Handle game card images  
             Utils.$$('.game-card img').forEach(img => {
                 img.addEventListener('error', () => {
-                    img.src = 'https://placehold.co/420x420/0a1628/b5c1dc?text=Game';
+                    if (!img.src.includes(this.gamePlaceholderUrl)) img.src = this.gamePlaceholderUrl;
                 });
             });
         },
         
         handleError(img) {
-            const fallback = img.getAttribute('data-fallback');
-            const currentSrc = img.src;
-            
-            // Try fallback first
-            if (fallback && !currentSrc.includes(fallback)) {
-                img.src = fallback;
-                // Update parent's lightbox attribute
-                const parent = img.closest('[data-lightbox]');
-                if (parent) {
-                    parent.setAttribute('data-lightbox', fallback);
-                }
-            } else {
-                // Use placeholder if fallback also fails
+            const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+            const sources = picture ? picture.querySelectorAll('source') : [];
+
+            if (sources.length) {
+                // A missing variant: drop the <source>s so the original file loads instead
+                sources.forEach(source => source.remove());
+                img.src = img.getAttribute('src');
+            } else if (!img.src.includes(this.placeholderUrl)) {
+                // Use placeholder if the original fails too
                 img.src = this.placeholderUrl;
-                const parent = img.closest('[data-lightbox]');
-                if (parent) {
-                    parent.setAttribute('data-lightbox', this.placeholderUrl);
-                }
             }
+            img.style.backgroundImage = '';
         }
     };
 
@@ -1153,8 +2825,22 @@
     
     const Lightbox = {
         overlay: null,
-        
-        init() {
+        images: [],
+        index: 0,
+        lastFocus: null,
+        zoom: { scale: 1, x: 0, y: 0 },
+        pointers: new Map(),
+        gesture: null,
+        tap: null,
+
+        MAX_SCALE: 4,
+        SWIPE_DISTANCE: 50,
+
+        /**
+         * Wire up every [data-lightbox] element. `items` (portfolio manifest entries) lets the
+         * viewer step through every image of the currently listed projects.
+         */
+        init(items = null) {
             // Initialize image error handling first (CSP-safe)
             ImageErrorHandler.init();
             
@@ -1164,73 +2850,331 @@
             }
             
             this.overlay = Utils.$('#lightboxOverlay');
+
+            const elements = [...Utils.$$('[data-lightbox]')];
+            this.images = items
+                ? items.flatMap(item => item.images.map((image, i) => ({
+                    src: image.src,
+                    alt: image.alt || item.title,
+                    title: item.title,
+                    slug: item.slug,
+                    part: i + 1,
+                    parts: item.images.length,
+                    info: PortfolioData.variants(image.src)
+                })))
+                : elements.map(el => ({ src: el.getAttribute('data-lightbox'), alt: '', title: el.getAttribute('data-title') || '', slug: null, part: 1, parts: 1, info: null }));
             
             // Attach click events to portfolio items
-            Utils.$$('[data-lightbox]').forEach(item => {
+            elements.forEach((item, i) => {
                 item.style.cursor = 'pointer';
                 item.addEventListener('click', (e) => {
+                    // Links inside a card (e.g. "View project") navigate instead
+                    if (e.target.closest('a')) return;
                     e.preventDefault();
-                    const imgSrc = item.getAttribute('data-lightbox');
-                    const title = item.getAttribute('data-title') || '';
-                    this.open(imgSrc, title);
+                    const slug = item.getAttribute('data-slug');
+                    const start = slug ? this.images.findIndex(image => image.slug === slug) : i;
+                    this.open(Math.max(0, start));
                 });
             });
         },
         
         createLightbox() {
             const lightboxHTML = `
-                <div class="lightbox-overlay" id="lightboxOverlay">
+                <div class="lightbox-overlay" id="lightboxOverlay" role="dialog" aria-modal="true" aria-labelledby="lightboxTitle" hidden>
                     <div class="lightbox-content">
-                        <button class="lightbox-close" id="lightboxClose" aria-label="Close lightbox">
-                            <i class="fas fa-times"></i>
-                        </button>
-                        <img src="" alt="" class="lightbox-image" id="lightboxImage">
+                        <div class="lightbox-toolbar">
+                            <span class="lightbox-counter" id="lightboxCounter" aria-live="polite"></span>
+                            <button type="button" class="lightbox-btn" id="lightboxZoom" data-i18n-aria="lightbox.zoom" aria-label="${I18n.translate('lightbox.zoom')}"><i class="fas fa-search-plus" aria-hidden="true"></i></button>
+                            <button type="button" class="lightbox-btn lightbox-close" id="lightboxClose" data-i18n-aria="lightbox.close" aria-label="${I18n.translate('lightbox.close')}">
+                                <i class="fas fa-times" aria-hidden="true"></i>
+                            </button>
+                        </div>
+                        <div class="lightbox-stage" id="lightboxStage">
+                            <picture>
+                                <source type="image/avif" id="lightboxAvif">
+                                <source type="image/webp" id="lightboxWebp">
+                                <img src="" alt="" class="lightbox-image" id="lightboxImage" draggable="false">
+                            </picture>
+                        </div>
+                        <button type="button" class="lightbox-btn lightbox-nav lightbox-prev" id="lightboxPrev" data-i18n-aria="lightbox.prev" aria-label="${I18n.translate('lightbox.prev')}"><i class="fas fa-chevron-left" aria-hidden="true"></i></button>
+                        <button type="button" class="lightbox-btn lightbox-nav lightbox-next" id="lightboxNext" data-i18n-aria="lightbox.next" aria-label="${I18n.translate('lightbox.next')}"><i class="fas fa-chevron-right" aria-hidden="true"></i></button>
                         <div class="lightbox-title" id="lightboxTitle"></div>
                     </div>
                 </div>
             `;
             document.body.insertAdjacentHTML('beforeend', lightboxHTML);
             
-            // Attach close events
             const overlay = Utils.$('#lightboxOverlay');
-            const closeBtn = Utils.$('#lightboxClose');
-            
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.close());
-            }
-            
-            if (overlay) {
-                overlay.addEventListener('click', (e) => {
-                    if (e.target === overlay) this.close();
-                });
-            }
-            
-            // Close on Escape key
+            const stage = Utils.$('#lightboxStage');
+            const img = Utils.$('#lightboxImage');
+
+            Utils.$('#lightboxClose').addEventListener('click', () => this.close());
+            Utils.$('#lightboxPrev').addEventListener('click', () => this.step(-1));
+            Utils.$('#lightboxNext').addEventListener('click', () => this.step(1));
+            Utils.$('#lightboxZoom').addEventListener('click', () => this.toggleZoom());
+
+            // Pointer capture retargets clicks to the stage, so decide from where the press started
+            overlay.addEventListener('click', (e) => {
+                const tap = this.tap || { target: e.target, moved: false };
+                this.tap = null;
+                if (!tap.moved && (tap.target === overlay || tap.target === stage)) this.close();
+            });
+
+            // CSP-safe: a missing variant falls back to the original, a missing original to the placeholder
+            img.addEventListener('error', () => {
+                if (Utils.$('#lightboxWebp').srcset || Utils.$('#lightboxAvif').srcset) this.setSources(null);
+                else if (img.getAttribute('src') !== ImageErrorHandler.placeholderUrl) img.src = ImageErrorHandler.placeholderUrl;
+            });
+            img.addEventListener('load', () => this.applyZoom());
+            stage.addEventListener('dblclick', (e) => this.toggleZoom(e));
+
+            stage.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                this.zoomAt(this.zoom.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e);
+            }, { passive: false });
+            stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => stage.addEventListener(type, (e) => this.onPointerUp(e)));
+
             document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.overlay && this.overlay.classList.contains('active')) {
-                    this.close();
+                if (!this.isOpen()) return;
+                const rtl = document.documentElement.dir === 'rtl';
+                switch (e.key) {
+                    case 'Escape': this.close(); break;
+                    case 'ArrowLeft': this.step(rtl ? 1 : -1); break;
+                    case 'ArrowRight': this.step(rtl ? -1 : 1); break;
+                    case '+': case '=': this.zoomAt(this.zoom.scale * 1.5); break;
+                    case '-': this.zoomAt(this.zoom.scale / 1.5); break;
+                    case '0': this.resetZoom(); break;
+                    case 'Tab': this.trapFocus(e); return;
+                    default: return;
                 }
+                e.preventDefault();
             });
         },
-        
-        open(src, title) {
-            const img = Utils.$('#lightboxImage');
-            const titleEl = Utils.$('#lightboxTitle');
-            
-            if (img) img.src = src;
-            if (titleEl) titleEl.textContent = title;
-            
-            if (this.overlay) {
+
+        isOpen() {
+            return !!(this.overlay && this.overlay.classList.contains('active'));
+        },
+
+        /**
+         * Open at an index of the current set, or at a project by slug (and 1-based image number)
+         */
+        open(target, part = 1) {
+            if (!this.overlay || !this.images.length) return;
+
+            const index = typeof target === 'string'
+                ? this.images.findIndex(image => image.slug === target && image.part === part)
+                : target;
+            if (index < 0 || index >= this.images.length) return;
+
+            if (!this.isOpen()) {
+                this.lastFocus = document.activeElement;
+                this.overlay.hidden = false;
                 this.overlay.classList.add('active');
                 document.body.style.overflow = 'hidden';
+                Utils.$('#lightboxClose').focus();
             }
+            this.show(index);
         },
-        
-        close() {
-            if (this.overlay) {
-                this.overlay.classList.remove('active');
-                document.body.style.overflow = '';
+
+        show(index) {
+            const total = this.images.length;
+            this.index = (index + total) % total;
+            const image = this.images[this.index];
+
+            const img = Utils.$('#lightboxImage');
+            this.setSources(image.info);
+            img.src = image.src;
+            img.alt = image.alt;
+            Utils.$('#lightboxTitle').textContent = image.parts > 1 ? `${image.title} (${image.part}/${image.parts})` : image.title;
+            Utils.$('#lightboxCounter').textContent = `${I18n.formatNumber(this.index + 1)} / ${I18n.formatNumber(total)}`;
+            Utils.$$('.lightbox-nav').forEach(btn => { btn.hidden = total < 2; });
+            this.resetZoom();
+
+            // Warm the cache for the neighbours so stepping feels instant
+            [this.index - 1, this.index + 1].forEach(i => {
+                const next = this.images[(i + total) % total];
+                if (next) new Image().src = next.src;
+            });
+
+            if (image.slug) Router.setParams({ item: image.slug, image: image.part > 1 ? String(image.part) : '' });
+        },
+
+        step(delta) {
+            if (this.images.length > 1) this.show(this.index + delta);
+        },
+
+        /**
+         * Point the <source>s at the image's optimized variants, or clear them to load the original
+         */
+        setSources(info) {
+            [['avif', '#lightboxAvif'], ['webp', '#lightboxWebp']].forEach(([type, selector]) => {
+                const source = Utils.$(selector);
+                const list = info && info.sources && info.sources[type];
+                if (list && list.length) {
+                    source.srcset = list.map(v => `${v.src} ${v.width}w`).join(', ');
+                    source.sizes = '90vw';
+                } else {
+                    source.removeAttribute('srcset');
+                    source.removeAttribute('sizes');
+                }
+            });
+        },
+
+        // Zooming past the largest variant switches to the original file for true 1:1 detail
+        useFullResolution() {
+            const image = this.images[this.index];
+            const img = Utils.$('#lightboxImage');
+            if (!image || !image.info || !image.info.sources) return;
+
+            const largest = Math.max(...Object.values(image.info.sources).flat().map(v => v.width));
+            const needed = img.offsetWidth * this.zoom.scale * (window.devicePixelRatio || 1);
+            if (needed > largest && image.info.width > largest) this.setSources(null);
+        },
+
+        // ─── Zoom & pan ─────────────────────────────────────────────
+
+        resetZoom() {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+            this.applyZoom();
+        },
+
+        // Scale at which one pixel of the original covers one screen pixel
+        naturalScale() {
+            const img = Utils.$('#lightboxImage');
+            const image = this.images[this.index];
+            const width = (image && image.info && image.info.width) || (img && img.naturalWidth);
+            return width && img.offsetWidth ? Math.max(1, width / img.offsetWidth) : 2;
+        },
+
+        toggleZoom(e) {
+            if (this.zoom.scale > 1) this.resetZoom();
+            else this.zoomAt(Math.max(2, this.naturalScale()), e);
+        },
+
+        /**
+         * Zoom to `scale`, keeping the point under the cursor (or the centre) in place
+         */
+        zoomAt(scale, point = null) {
+            const img = Utils.$('#lightboxImage');
+            const next = Math.min(Math.max(1, scale), Math.max(this.MAX_SCALE, this.naturalScale()));
+            const rect = img.getBoundingClientRect();
+            const px = point && point.clientX != null ? point.clientX - (rect.left + rect.width / 2) : 0;
+            const py = point && point.clientY != null ? point.clientY - (rect.top + rect.height / 2) : 0;
+            const ratio = next / this.zoom.scale;
+
+            this.zoom.x -= px * (ratio - 1);
+            this.zoom.y -= py * (ratio - 1);
+            this.zoom.scale = next;
+            this.applyZoom();
+            if (next > 1) this.useFullResolution();
+        },
+
+        applyZoom() {
+            const img = Utils.$('#lightboxImage');
+            if (!img) return;
+
+            // Keep the zoomed image covering its box so panning never reveals empty space
+            const maxX = (img.offsetWidth * (this.zoom.scale - 1)) / 2;
+            const maxY = (img.offsetHeight * (this.zoom.scale - 1)) / 2;
+            this.zoom.x = Math.min(maxX, Math.max(-maxX, this.zoom.x));
+            this.zoom.y = Math.min(maxY, Math.max(-maxY, this.zoom.y));
+
+            img.style.transform = `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+            img.classList.toggle('zoomed', this.zoom.scale > 1);
+
+            const zoomBtn = Utils.$('#lightboxZoom');
+            if (zoomBtn) {
+                zoomBtn.dataset.i18nAria = this.zoom.scale > 1 ? 'lightbox.fit' : 'lightbox.zoom';
+                zoomBtn.setAttribute('aria-label', I18n.translate(zoomBtn.dataset.i18nAria));
+                zoomBtn.innerHTML = `<i class="fas fa-search-${this.zoom.scale > 1 ? 'minus' : 'plus'}" aria-hidden="true"></i>`;
+            }
+        },
+
+        // ─── Touch & mouse gestures ─────────────────────────────────
+
+        onPointerDown(e) {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (!this.pointers.size) this.tap = { target: e.target, moved: false };
+            e.currentTarget.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            Utils.$('#lightboxImage').classList.add('dragging');
+
+            const [a, b] = [...this.pointers.values()];
+            this.gesture = b
+                ? { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.zoom.scale }
+                : { type: 'drag', startX: e.clientX, startY: e.clientY, x: this.zoom.x, y: this.zoom.y, moved: false };
+        },
+
+        onPointerMove(e) {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch') {
+                const [a, b] = [...this.pointers.values()];
+                if (!b) return;
+                const mid = { clientX: (a.x + b.x) / 2, clientY: (a.y + b.y) / 2 };
+                this.zoomAt(this.gesture.scale * (Math.hypot(a.x - b.x, a.y - b.y) / this.gesture.distance), mid);
+                return;
+            }
+
+            const dx = e.clientX - this.gesture.startX;
+            const dy = e.clientY - this.gesture.startY;
+            if (Math.abs(dx) > 5 || Math.abs(dy) > 5) this.gesture.moved = true;
+            if (this.zoom.scale > 1) {
+                this.zoom.x = this.gesture.x + dx;
+                this.zoom.y = this.gesture.y + dy;
+                this.applyZoom();
+            }
+        },
+
+        onPointerUp(e) {
+            if (!this.pointers.delete(e.pointerId) || !this.gesture) return;
+            if (!this.pointers.size) Utils.$('#lightboxImage').classList.remove('dragging');
+
+            const gesture = this.gesture;
+            this.gesture = null;
+            if (this.tap) this.tap.moved = gesture.type === 'pinch' || gesture.moved;
+            if (gesture.type !== 'drag' || this.zoom.scale > 1 || e.type === 'pointercancel') return;
+
+            // A horizontal swipe on an unzoomed image steps through the set
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > this.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                const rtl = document.documentElement.dir === 'rtl';
+                this.step((dx < 0) !== rtl ? 1 : -1);
             }
+        },
+
+        trapFocus(e) {
+            const focusables = [...this.overlay.querySelectorAll('button:not([hidden])')];
+            if (!focusables.length) return;
+            const first = focusables[0];
+            const last = focusables[focusables.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            } else if (!this.overlay.contains(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+        
+        close(updateUrl = true) {
+            if (!this.isOpen()) return;
+            this.overlay.classList.remove('active');
+            document.body.style.overflow = '';
+            this.pointers.clear();
+            this.gesture = null;
+            setTimeout(() => { if (!this.isOpen()) this.overlay.hidden = true; }, 300);
+
+            if (updateUrl && this.images[this.index] && this.images[this.index].slug) Router.setParams({ item: '', image: '' });
+            if (this.lastFocus && document.contains(this.lastFocus)) this.lastFocus.focus();
+            this.lastFocus = null;
         }
     };
 
@@ -1533,13 +3477,24 @@
     // ═══════════════════════════════════════════════════════════════
     
     const LanguageSwitcher = {
+        // Button class and label per switcher; both are built from LOCALES
+        SWITCHERS: [['.settings-lang-switcher', 'lang-btn', 'name'], ['.mobile-lang-switcher', 'mobile-lang-btn', 'short']],
+
         init() {
+            this.SWITCHERS.forEach(([selector, className, label]) => {
+                const group = Utils.$(selector);
+                if (!group) return;
+                group.innerHTML = LOCALES.map(l => `<button type="button" class="${className}" data-lang="${l.code}" lang="${l.code}" dir="${l.dir}"${label === 'short' ? ` aria-label="${Utils.escapeHtml(l.name)}"` : ''}>${Utils.escapeHtml(l[label])}</button>`).join('');
+            });
+
             Utils.$$('.lang-btn, .mobile-lang-btn').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    I18n.setLanguage(btn.dataset.lang);
-                    Router.navigate(Router.currentPage, false);
+                btn.addEventListener('click', async () => {
+                    await I18n.setLanguage(btn.dataset.lang);
+                    TimeDisplay.update();
+                    Router.navigate(Router.currentRoute(), false);
                 });
             });
+            I18n.updateLangButtons();
         }
     };
 
@@ -1565,9 +3520,9 @@
                 });
             }
 
-            // Close on Escape key
+            // Close on Escape key, only while open: other dialogs (the lightbox) use Escape too
             document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') this.close();
+                if (e.key === 'Escape' && overlay && overlay.classList.contains('active')) this.close();
             });
         },
 
@@ -1631,19 +3586,22 @@
     // MAIN INITIALIZATION
     // ═══════════════════════════════════════════════════════════════
     
-    function init() {
+    async function init() {
         // Initialize all modules
-        I18n.init();
-        TimeDisplay.init();
-        Router.init();
-        MobileMenu.init();
         LanguageSwitcher.init();
+        MobileMenu.init();
         SettingsModal.init();
         SiteSettings.init();
         AudioPlayer.init();
         GalaxyBackground.init();
         LogoHandler.init();
 
+        // Pages render once English (and the saved language) are in
+        await I18n.init();
+        TimeDisplay.init();
+        Router.init();
+        Availability.load();
+
         // Hide loader after delay
         setTimeout(() => {
             const loader = Utils.$('#pageLoader');
@@ -0,0 +1,106 @@
+'use strict';
+
+// Builds responsive variants of every portfolio image listed in data/portfolio.json:
+// AVIF + WebP at a few widths under images/optimized/, plus a tiny blurred placeholder (LQIP),
+// and writes their sizes to data/images.json for the frontend. It also renders the social
+// preview card (images/og-image.svg) to PNG, since link previews do not accept SVG.
+//
+// Usage: npm run build:images [-- --force]
+// Needs sharp, a dev dependency: run `npm install` first. The output is committed, not built on deploy.
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (_) {
+  console.error('sharp is not installed. Run `npm install` and try again.');
+  process.exit(1);
+}
+
+const ROOT = path.join(__dirname, '..');
+const PORTFOLIO = path.join(ROOT, 'data', 'portfolio.json');
+const MANIFEST = path.join(ROOT, 'data', 'images.json');
+const OUT_DIR = 'images/optimized';
+
+const WIDTHS = [480, 960, 1600];
+const FORMATS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 78 }
+};
+const LQIP_WIDTH = 24;
+const OG_IMAGE = 'images/og-image';
+
+const force = process.argv.includes('--force');
+
+function sourcesFromPortfolio() {
+  const { items = [] } = JSON.parse(fs.readFileSync(PORTFOLIO, 'utf8'));
+  const srcs = new Set();
+  for (const item of items) {
+    (item.images || []).forEach(image => srcs.add(image.src));
+    if (item.comparison) ['before', 'after'].forEach(side => item.comparison[side] && srcs.add(item.comparison[side].src));
+  }
+  return [...srcs].filter(src => !/^https?:/.test(src));
+}
+
+function isFresh(output, input) {
+  try {
+    return fs.statSync(output).mtimeMs >= fs.statSync(input).mtimeMs;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function buildOne(src) {
+  const input = path.join(ROOT, src);
+  const { width, height } = await sharp(input).metadata();
+  const base = path.basename(src, path.extname(src));
+
+  // Never upscale: widths above the original collapse into the original width.
+  const widths = [...new Set(WIDTHS.map(w => Math.min(w, width)))];
+  const sources = {};
+  for (const [format, options] of Object.entries(FORMATS)) {
+    sources[format] = [];
+    for (const w of widths) {
+      const rel = `${OUT_DIR}/${base}-${w}.${format}`;
+      const output = path.join(ROOT, rel);
+      if (force || !isFresh(output, input)) {
+        await sharp(input).resize({ width: w }).toFormat(format, options).toFile(output);
+      }
+      sources[format].push({ src: rel, width: w });
+    }
+  }
+
+  const lqip = await sharp(input).resize({ width: LQIP_WIDTH }).blur(1.5).webp({ quality: 40 }).toBuffer();
+  return { width, height, lqip: `data:image/webp;base64,${lqip.toString('base64')}`, sources };
+}
+
+async function buildOgImage() {
+  const input = path.join(ROOT, `${OG_IMAGE}.svg`);
+  const output = path.join(ROOT, `${OG_IMAGE}.png`);
+  if (!force && isFresh(output, input)) return;
+  await sharp(input).png({ compressionLevel: 9 }).toFile(output);
+  console.log(`✓ ${OG_IMAGE}.png`);
+}
+
+async function main() {
+  fs.mkdirSync(path.join(ROOT, OUT_DIR), { recursive: true });
+  const manifest = {};
+  for (const src of sourcesFromPortfolio()) {
+    if (!fs.existsSync(path.join(ROOT, src))) {
+      console.warn(`Skipping missing image: ${src}`);
+      continue;
+    }
+    manifest[src] = await buildOne(src);
+    console.log(`✓ ${src}`);
+  }
+  fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(ROOT, MANIFEST)} (${Object.keys(manifest).length} images).`);
+  await buildOgImage();
+}
+
+main().catch((e) => {
+  console.error('Image build failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+// Checks translation coverage: every language in LOCALES (js/app.js) must have a bundle in
+// data/locales/ with every English key, and every key used in js/app.js or index.html
+// (data-i18n="...", data-i18n-aria="...", I18n.translate('...') or I18n.attrs('...')) must exist in English.
+// Keys built at runtime (`${...}`) are skipped.
+//
+// Usage: node scripts/check-i18n.js   (exits 1 when a key is missing)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const APP = fs.readFileSync(path.join(ROOT, 'js', 'app.js'), 'utf8');
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const LOCALES_DIR = path.join(ROOT, 'data', 'locales');
+
+// Returns the source of the array or object literal that opens at `start`, skipping brackets inside strings.
+function literalAt(source, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if ((ch === '}' || ch === ']') && --depth === 0) {
+      return source.slice(start, i + 1);
+    }
+  }
+  throw new Error('Unterminated literal');
+}
+
+function localeCodes() {
+  const match = /\bconst LOCALES\s*=\s*\[/.exec(APP);
+  if (!match) throw new Error('LOCALES not found in js/app.js');
+  return vm.runInNewContext(`(${literalAt(APP, match.index + match[0].length - 1)})`).map(l => l.code);
+}
+
+// Returns { [code]: table } for each registered language; a missing or broken bundle is reported.
+function loadTranslations(codes) {
+  const translations = {};
+  for (const code of codes) {
+    const file = path.join(LOCALES_DIR, `${code}.json`);
+    try {
+      translations[code] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      report(`Cannot load ${path.relative(ROOT, file)}`, [e.message]);
+    }
+  }
+  for (const file of fs.readdirSync(LOCALES_DIR)) {
+    if (file.endsWith('.json') && !codes.includes(file.slice(0, -5))) {
+      console.warn(`data/locales/${file} is not in LOCALES, never offered`);
+    }
+  }
+  return translations;
+}
+
+function usedKeys() {
+  const keys = new Set();
+  const patterns = [/data-i18n(?:-aria)?="([^"]+)"/g, /I18n\.(?:translate|attrs)\('([^']+)'[,)]/g, /dataset\.i18n = '([^']+)'/g];
+  for (const source of [APP, HTML]) {
+    for (const pattern of patterns) {
+      for (const [, key] of source.matchAll(pattern)) {
+        if (!key.includes('${')) keys.add(key);
+      }
+    }
+  }
+  return keys;
+}
+
+let failed = false;
+
+function report(label, keys) {
+  if (!keys.length) return;
+  failed = true;
+  console.error(`${label} (${keys.length}):\n${keys.map(k => `  ${k}`).join('\n')}`);
+}
+
+const translations = loadTranslations(localeCodes());
+const english = new Set(Object.keys(translations.en || {}));
+
+report('Used but missing from en', [...usedKeys()].filter(k => !english.has(k)).sort());
+
+for (const [lang, table] of Object.entries(translations)) {
+  if (lang === 'en') continue;
+  report(`Missing from ${lang}`, [...english].filter(k => !(k in table)));
+  const extra = Object.keys(table).filter(k => !english.has(k));
+  if (extra.length) console.warn(`Only in ${lang}, never shown (${extra.length}): ${extra.join(', ')}`);
+}
+
+if (failed) {
+  process.exitCode = 1;
+} else {
+  console.log(`All ${english.size} keys are translated in ${Object.keys(translations).join(', ')}.`);
+}
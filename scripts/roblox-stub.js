@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Local stand-in for the Roblox endpoints used by /api (apis, games and thumbnails).
+ *
+ *   node scripts/roblox-stub.js [port]
+ *   ROBLOX_API_ORIGIN=http://127.0.0.1:4010 vercel dev
+ *
+ * Paths are `/<real host>/<real path>`. Any place ID maps to universe `<placeId>0`, and icon
+ * URLs on tr.rbxcdn.com serve a 1x1 PNG.
+ * STUB_DELAY_MS adds latency and STUB_FAIL_RATE (0-1) answers that share of calls with 503,
+ * so caching and outage handling can be exercised without touching Roblox.
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 4010;
+const delayMs = Number(process.env.STUB_DELAY_MS) || 0;
+const failRate = Number(process.env.STUB_FAIL_RATE) || 0;
+
+function fakeGame(id) {
+  const n = Number(String(id).slice(-4)) || 1;
+  return {
+    id: Number(id),
+    name: `Stub Game ${id}`,
+    visits: n * 123457,
+    playing: n % 500,
+    favoritedCount: n * 97,
+    maxPlayers: 12,
+    genre: 'All',
+    created: '2024-01-15T10:00:00.000Z',
+    updated: new Date(Date.now() - n * 3600_000).toISOString()
+  };
+}
+
+// 1x1 transparent PNG
+const STUB_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+const routes = [
+  [/^\/apis\.roblox\.com\/universes\/v1\/places\/(\d+)\/universe$/, (m) => ({ universeId: Number(`${m[1]}0`) })],
+  [/^\/games\.roblox\.com\/v1\/games$/, (m, q) => ({ data: (q.get('universeIds') || '').split(',').filter(Boolean).map(fakeGame) })],
+  [/^\/games\.roblox\.com\/v1\/games\/votes$/, (m, q) => ({
+    data: (q.get('universeIds') || '').split(',').filter(Boolean).map(id => ({ id: Number(id), upVotes: (Number(id) % 900) + 100, downVotes: Number(id) % 50 }))
+  })],
+  [/^\/thumbnails\.roblox\.com\/v1\/games\/icons$/, (m, q) => ({
+    data: (q.get('universeIds') || '').split(',').filter(Boolean).map(id => ({ targetId: Number(id), state: 'Completed', imageUrl: `https://tr.rbxcdn.com/stub/${id}/420/420/Image/Png` }))
+  })],
+  [/^\/tr\.rbxcdn\.com\/stub\/\d+\/420\/420\/Image\/Png$/, () => STUB_PNG]
+];
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  const route = routes.find(([re]) => re.test(url.pathname));
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  setTimeout(() => {
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ errors: [{ code: 0, message: 'NotFound' }] }));
+    }
+    if (Math.random() < failRate) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ errors: [{ code: 0, message: 'Service Unavailable' }] }));
+    }
+    const body = route[1](url.pathname.match(route[0]), url.searchParams);
+    if (Buffer.isBuffer(body)) {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': body.length });
+      return res.end(body);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }, delayMs);
+}).listen(port, '127.0.0.1', () => {
+  console.log(`Roblox stub listening on http://127.0.0.1:${port}`);
+});
@@ -0,0 +1,17 @@
+'use strict';
+
+// Records one visits/playing snapshot for every showcased game into the local store.
+// Usage: node scripts/snapshot-games.js  (honours STORAGE_DRIVER, DATA_DIR and ROBLOX_API_ORIGIN)
+
+const { takeSnapshot } = require('../api/_lib/history');
+
+takeSnapshot()
+  .then(({ recorded, failed }) => {
+    console.log(`Recorded ${recorded.length} game(s).`);
+    if (failed.length) console.warn(`Failed: ${failed.join(', ')}`);
+    process.exitCode = recorded.length || !failed.length ? 0 : 1;
+  })
+  .catch((e) => {
+    console.error('Snapshot failed:', e.message);
+    process.exitCode = 1;
+  });